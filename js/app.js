@@ -8,6 +8,10 @@
 const App = (function () {
     let map = null;
     let currentDevices = [];
+
+    // Split view: second map computed with its own Lateration view
+    const COMPARE_VIEW = 'compare';
+    let compareMap = null;
     let pendingSensors = []; // Sensors waiting for GPS input
 
     /**
@@ -28,6 +32,9 @@ const App = (function () {
         MapLayers.init(map);
         TimeControls.init(handleTimestampChange);
         ZoneManager.init(map, handleZoneChange);
+
+        // Zones help to pick between the two mirror positions of two-sensor fixes
+        Lateration.setZoneConstraint(ZoneManager.containsPoint);
         UIController.init(map);
 
         // Setup file input handler
@@ -45,19 +52,78 @@ const App = (function () {
 
         // Setup MQTT handlers
         initMqtt();
+        initRecording();
 
         // Setup Kalman filter toggle
         const kalmanToggle = document.getElementById('toggle-kalman');
         if (kalmanToggle) {
             kalmanToggle.addEventListener('change', function (e) {
                 Lateration.setKalmanEnabled(e.target.checked);
-                // Refresh current display if data is loaded
-                const timestamps = DataHandler.getTimestamps();
-                if (timestamps.length > 0) {
-                    const currentTimestamp = TimeControls.getCurrentTimestamp();
-                    if (currentTimestamp) {
-                        handleTimestampChange(currentTimestamp);
-                    }
+                refreshCurrentTimestamp();
+            });
+        }
+
+        // Setup offline RTS smoother toggle
+        const rtsToggle = document.getElementById('toggle-rts');
+        if (rtsToggle) {
+            rtsToggle.addEventListener('change', function (e) {
+                Lateration.setSmoothingEnabled(e.target.checked);
+                refreshCurrentTimestamp();
+            });
+        }
+
+        // Setup particle filter toggle
+        const particleToggle = document.getElementById('toggle-particle');
+        if (particleToggle) {
+            particleToggle.addEventListener('change', function (e) {
+                Lateration.setParticleFilterEnabled(e.target.checked);
+                refreshCurrentTimestamp();
+            });
+        }
+
+        // Setup outlier rejection (RANSAC) toggle
+        const robustToggle = document.getElementById('toggle-robust');
+        if (robustToggle) {
+            robustToggle.addEventListener('change', function (e) {
+                Lateration.setRobustEnabled(e.target.checked);
+                refreshCurrentTimestamp();
+            });
+        }
+
+        // Setup quality rule selection (GDOP or sensor count)
+        const qualityMode = document.getElementById('quality-mode');
+        if (qualityMode) {
+            qualityMode.value = Lateration.getQualityMode();
+            qualityMode.addEventListener('change', function (e) {
+                Lateration.setQualityMode(e.target.value);
+                MapLayers.updateQualityLegend();
+                refreshCurrentTimestamp();
+            });
+        }
+        MapLayers.updateQualityLegend();
+
+        // Setup position estimator selection and parameters (main and split map)
+        initEstimatorControls('estimator-select', 'estimator-params', Lateration.MAIN_VIEW);
+        initEstimatorControls('compare-estimator-select', 'compare-estimator-params', COMPARE_VIEW);
+
+        // Setup split view toggle
+        const splitToggle = document.getElementById('toggle-split-view');
+        if (splitToggle) {
+            splitToggle.addEventListener('change', function (e) {
+                setSplitView(e.target.checked);
+            });
+        }
+
+        // Setup tracking settings panel (applies stored settings first)
+        initSettings();
+
+        // Setup maximum sensor range (lateration and coverage layer), stored with the settings
+        const maxRangeInput = document.getElementById('coverage-max-range');
+        if (maxRangeInput) {
+            maxRangeInput.value = Settings.get('maxRange');
+            maxRangeInput.addEventListener('change', function (e) {
+                if (Settings.set('maxRange', e.target.value) === null) {
+                    e.target.value = Settings.get('maxRange');
                 }
             });
         }
@@ -65,6 +131,9 @@ const App = (function () {
         // Setup GPS management
         initGpsManagement();
 
+        // Setup RSSI path-loss model controls
+        initPathLoss();
+
         console.log('[App] Multi-Sensor Tracking Visualization initialized');
     }
 
@@ -76,10 +145,16 @@ const App = (function () {
         const exportBtn = document.getElementById('btn-export-gps');
         const importBtn = document.getElementById('btn-import-gps');
         const importInput = document.getElementById('gps-import-input');
+        const calibrateBtn = document.getElementById('btn-calibrate-distance');
+        const referenceInput = document.getElementById('distance-reference-input');
 
         // Update stored GPS count display
         updateStoredGpsCount();
 
+        // Apply stored distance calibration
+        Calibration.init();
+        DataHandler.setDistanceCalibration(GpsStorage.getAllCalibrations());
+
         // Manage button - show all stored GPS coordinates
         manageBtn.addEventListener('click', () => {
             const storedGps = GpsStorage.loadAll();
@@ -123,6 +198,7 @@ const App = (function () {
                     const result = GpsStorage.importFromJson(event.target.result, true);
                     if (result.success) {
                         updateStoredGpsCount();
+                        applyDistanceCalibration();
                         UIController.showSuccess(`${result.count} GPS coordinates imported`);
                     } else {
                         UIController.showError('Import failed: ' + result.error);
@@ -133,6 +209,333 @@ const App = (function () {
                 e.target.value = ''; // Reset input
             }
         });
+
+        // Calibrate button - reference file for the loaded recording
+        calibrateBtn.addEventListener('click', () => {
+            if (!DataHandler.hasData()) {
+                UIController.showError('Load the calibration recording first');
+                return;
+            }
+            referenceInput.click();
+        });
+
+        referenceInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                const reader = new FileReader();
+
+                reader.onload = (event) => {
+                    try {
+                        const reference = JSON.parse(event.target.result);
+                        const validation = Calibration.validateReference(reference);
+                        if (!validation.valid) {
+                            throw new Error(validation.error);
+                        }
+
+                        const result = Calibration.fitDistanceCalibration(DataHandler.getRawData(), reference);
+                        if (Object.keys(result).length === 0) {
+                            UIController.showError('No readings of the reference device inside the marked intervals');
+                            return;
+                        }
+
+                        Calibration.showReport(result, (fitted) => {
+                            // Calibration is stored with the sensor GPS, keep positions from the data file
+                            const missingGps = {};
+                            Object.keys(fitted).forEach(sensorId => {
+                                const sensor = DataHandler.getSensorById(sensorId);
+                                if (!GpsStorage.has(sensorId) && sensor) {
+                                    missingGps[sensorId] = { lat: sensor.lat, lng: sensor.lng };
+                                }
+                            });
+                            GpsStorage.setMultiple(missingGps);
+                            updateStoredGpsCount();
+
+                            const count = GpsStorage.setCalibrations(fitted);
+                            applyDistanceCalibration();
+                            UIController.showSuccess(`Distance calibration applied to ${count} sensors`);
+                        }, () => {
+                            // Back to the measured distances of all sensors
+                            GpsStorage.clearCalibrations();
+                            applyDistanceCalibration();
+                            UIController.showSuccess('Distance calibration removed');
+                        });
+                    } catch (error) {
+                        UIController.showError('Calibration failed: ' + error.message);
+                    }
+                };
+
+                reader.readAsText(e.target.files[0]);
+                e.target.value = ''; // Reset input
+            }
+        });
+    }
+
+    /**
+     * Initialize the tracking settings panel
+     * Inputs are generated from Settings.getAll(), grouped by module.
+     */
+    function initSettings() {
+        Settings.init(handleSettingsChange);
+        renderSettings();
+
+        const exportBtn = document.getElementById('btn-export-settings');
+        const importBtn = document.getElementById('btn-import-settings');
+        const resetBtn = document.getElementById('btn-reset-settings');
+        const importInput = document.getElementById('settings-import-input');
+
+        // Export button - download the current settings as a JSON profile
+        exportBtn.addEventListener('click', () => {
+            const json = Settings.exportAsJson();
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'tracking_settings.json';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            UIController.showSuccess('Settings exported');
+        });
+
+        importBtn.addEventListener('click', () => {
+            importInput.click();
+        });
+
+        importInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                const reader = new FileReader();
+
+                reader.onload = (event) => {
+                    const result = Settings.importFromJson(event.target.result);
+                    if (result.success) {
+                        UIController.showSuccess(`${result.count} settings imported`);
+                    } else {
+                        UIController.showError('Import failed: ' + result.error);
+                    }
+                };
+
+                reader.readAsText(e.target.files[0]);
+                e.target.value = ''; // Reset input
+            }
+        });
+
+        resetBtn.addEventListener('click', () => {
+            Settings.reset();
+            UIController.showSuccess('Settings reset to defaults');
+        });
+    }
+
+    /**
+     * Render the settings inputs
+     */
+    function renderSettings() {
+        const container = document.getElementById('settings-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+        let group = null;
+
+        Settings.getAll().forEach(setting => {
+            if (setting.group !== group) {
+                group = setting.group;
+                const title = document.createElement('div');
+                title.className = 'settings-group-title';
+                title.textContent = group;
+                container.appendChild(title);
+            }
+
+            const row = document.createElement('div');
+            row.className = 'settings-row';
+
+            const label = document.createElement('label');
+            label.textContent = setting.label;
+            label.title = `Default: ${setting.default}`;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = setting.min;
+            input.max = setting.max;
+            input.step = setting.step;
+            input.value = setting.value;
+            input.dataset.setting = setting.key;
+
+            input.addEventListener('change', function (e) {
+                if (Settings.set(setting.key, e.target.value) === null) {
+                    e.target.value = Settings.get(setting.key);
+                }
+            });
+
+            row.appendChild(label);
+            row.appendChild(input);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * React to a changed tracking setting (the position cache is already cleared)
+     * @param {string|null} key - Changed setting, null after import/reset
+     */
+    function handleSettingsChange(key) {
+        // Show clamped values and keep the coverage range input in sync
+        document.querySelectorAll('#settings-list input').forEach(input => {
+            input.value = Settings.get(input.dataset.setting);
+        });
+        const maxRangeInput = document.getElementById('coverage-max-range');
+        if (maxRangeInput) {
+            maxRangeInput.value = Settings.get('maxRange');
+        }
+
+        if ((key === null || key === 'maxRange') && document.getElementById('layer-coverage').checked) {
+            MapLayers.renderCoverage();
+        }
+
+        refreshCurrentTimestamp();
+    }
+
+    /**
+     * Push stored distance calibration to the data handler and recompute
+     */
+    function applyDistanceCalibration() {
+        DataHandler.setDistanceCalibration(GpsStorage.getAllCalibrations());
+        Lateration.clearCache();
+        refreshCurrentTimestamp();
+    }
+
+    /**
+     * Initialize estimator selection (Lateration estimator registry)
+     * @param {string} selectId - Estimator select element
+     * @param {string} paramsId - Container for the parameter inputs
+     * @param {string} viewId - Lateration view the controls apply to
+     */
+    function initEstimatorControls(selectId, paramsId, viewId) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        Lateration.getEstimators().forEach(estimator => {
+            const option = document.createElement('option');
+            option.value = estimator.name;
+            option.textContent = estimator.label;
+            select.appendChild(option);
+        });
+        select.value = Lateration.getEstimator(viewId);
+        renderEstimatorParams(paramsId, viewId);
+
+        select.addEventListener('change', function (e) {
+            Lateration.setEstimator(e.target.value, viewId);
+            renderEstimatorParams(paramsId, viewId);
+            refreshCurrentTimestamp();
+        });
+    }
+
+    /**
+     * Render parameter inputs of the active estimator from its schema
+     * @param {string} containerId - Container for the parameter inputs
+     * @param {string} viewId - Lateration view
+     */
+    function renderEstimatorParams(containerId, viewId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const name = Lateration.getEstimator(viewId);
+        const estimator = Lateration.getEstimators().find(e => e.name === name);
+        const values = Lateration.getEstimatorParams(name, viewId);
+        container.innerHTML = '';
+
+        Object.entries(estimator.params).forEach(([key, spec]) => {
+            const row = document.createElement('div');
+            row.className = 'estimator-param';
+
+            const label = document.createElement('label');
+            label.textContent = spec.label || key;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            if (typeof spec.min === 'number') input.min = spec.min;
+            if (typeof spec.max === 'number') input.max = spec.max;
+            if (typeof spec.step === 'number') input.step = spec.step;
+            input.value = values[key];
+
+            input.addEventListener('change', function (e) {
+                const applied = Lateration.setEstimatorParams(name, { [key]: e.target.value }, viewId);
+                // Show the clamped value
+                e.target.value = applied[key];
+                refreshCurrentTimestamp();
+            });
+
+            row.appendChild(label);
+            row.appendChild(input);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Initialize path-loss mode selection and calibration import
+     * Calibration file: JSON array of { sensor_id, rssi, beacon_lat, beacon_lng }
+     * (or { sensor_id, rssi, distance } with the true distance in meters)
+     */
+    function initPathLoss() {
+        const modeSelect = document.getElementById('path-loss-mode');
+        const calibrateBtn = document.getElementById('btn-calibrate-path-loss');
+        const calibrationInput = document.getElementById('path-loss-calibration-input');
+
+        modeSelect.value = PathLoss.getMode();
+        modeSelect.addEventListener('change', () => {
+            // Distances are resolved when a window is read, loaded data follows the mode
+            PathLoss.setMode(modeSelect.value);
+            Lateration.clearCache();
+            refreshCurrentTimestamp();
+        });
+
+        // Assumed device height for mounted sensors (slant -> horizontal range)
+        const deviceHeightInput = document.getElementById('device-height');
+        deviceHeightInput.value = Lateration.SOLVER_CONFIG.deviceHeight;
+        deviceHeightInput.addEventListener('change', () => {
+            const meters = parseFloat(deviceHeightInput.value);
+            if (!(meters >= 0)) {
+                deviceHeightInput.value = Lateration.SOLVER_CONFIG.deviceHeight;
+                return;
+            }
+            Lateration.setDeviceHeight(meters);
+            refreshCurrentTimestamp();
+        });
+
+        calibrateBtn.addEventListener('click', () => {
+            calibrationInput.click();
+        });
+
+        calibrationInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                const reader = new FileReader();
+
+                reader.onload = (event) => {
+                    try {
+                        const readings = JSON.parse(event.target.result);
+                        if (!Array.isArray(readings)) {
+                            throw new Error('Calibration file must be an array of readings');
+                        }
+
+                        const fitted = PathLoss.calibrate(readings, GpsStorage.loadAll());
+                        const sensorIds = Object.keys(fitted);
+                        if (sensorIds.length === 0) {
+                            UIController.showError('No usable calibration readings (check sensor GPS coordinates)');
+                            return;
+                        }
+
+                        Calibration.showPathLossReport(fitted, (params) => {
+                            PathLoss.saveCalibration(params);
+                            Lateration.clearCache();
+                            refreshCurrentTimestamp();
+                            UIController.showSuccess(`Path-loss model calibrated for ${sensorIds.length} sensors`);
+                        });
+                    } catch (error) {
+                        UIController.showError('Calibration failed: ' + error.message);
+                    }
+                };
+
+                reader.readAsText(e.target.files[0]);
+                e.target.value = ''; // Reset input
+            }
+        });
     }
 
     /**
@@ -155,6 +558,9 @@ const App = (function () {
         const disconnectBtn = document.getElementById('mqtt-disconnect');
         const brokerInput = document.getElementById('mqtt-broker');
         const topicInput = document.getElementById('mqtt-topic');
+        const proxyUserInput = document.getElementById('mqtt-proxy-user');
+        const proxySecretInput = document.getElementById('mqtt-proxy-secret');
+        const proxyPositionsToggle = document.getElementById('mqtt-proxy-positions');
         const assignGpsBtn = document.getElementById('mqtt-assign-gps');
 
         // Connect button (direct MQTT via WebSocket)
@@ -187,13 +593,22 @@ const App = (function () {
                 proxyConnectBtn.textContent = 'Connecting...';
                 connectBtn.disabled = true;
 
-                // Connect via local proxy server
-                await MqttHandler.connectViaProxy('ws://localhost:3001');
+                // Connect via local proxy server (empty topic = proxy default)
+                // Without a user name the secret is sent as token
+                const proxyUser = proxyUserInput.value.trim();
+                const proxySecret = proxySecretInput.value;
+                const credentials = proxyUser ? { user: proxyUser, password: proxySecret } : { token: proxySecret };
+                const feed = proxyPositionsToggle.checked ? 'positions' : 'raw';
+                await MqttHandler.connectViaProxy('ws://localhost:3001', topicInput.value.trim(), credentials, { feed });
 
                 UIController.showSuccess('Connected to VCR Broker via Proxy');
 
             } catch (error) {
-                UIController.showError('Proxy connection failed: ' + error.message + '\n\nMake sure the proxy server is running (npm start in mqtt-proxy folder)');
+                if (error.code === 'unauthorized') {
+                    UIController.showError(error.message);
+                } else {
+                    UIController.showError('Proxy connection failed: ' + error.message + '\n\nMake sure the proxy server is running (npm start in mqtt-proxy folder)');
+                }
                 proxyConnectBtn.disabled = false;
                 proxyConnectBtn.textContent = 'VCR Proxy';
                 connectBtn.disabled = false;
@@ -225,7 +640,19 @@ const App = (function () {
                 disconnectBtn.disabled = false;
                 brokerInput.disabled = true;
                 topicInput.disabled = true;
+                proxyUserInput.disabled = true;
+                proxySecretInput.disabled = true;
+                proxyPositionsToggle.disabled = true;
             } else {
+                // No more data will complete the open windows
+                if (realtimeUpdateTimer) {
+                    clearTimeout(realtimeUpdateTimer);
+                    realtimeUpdateTimer = null;
+                }
+                computeRealtimePositions(true);
+                // Keep the recorded timeline for review and playback
+                TimeControls.setLiveMode(false);
+
                 connectBtn.disabled = false;
                 proxyConnectBtn.disabled = false;
                 proxyConnectBtn.textContent = 'VCR Proxy';
@@ -233,9 +660,17 @@ const App = (function () {
                 disconnectBtn.disabled = true;
                 brokerInput.disabled = false;
                 topicInput.disabled = false;
+                proxyUserInput.disabled = false;
+                proxySecretInput.disabled = false;
+                proxyPositionsToggle.disabled = false;
             }
         });
 
+        // Refused topics or commands (proxy access rules), unavailable features
+        MqttHandler.onProxyError((message) => {
+            UIController.showError('Proxy: ' + message);
+        });
+
         // New sensor discovered callback
         MqttHandler.onSensorDiscovered((sensorId, allUnassigned) => {
             console.log('[MQTT] New sensor needs GPS:', sensorId);
@@ -244,8 +679,67 @@ const App = (function () {
 
         // Incoming message callback (only called when sensor has GPS)
         MqttHandler.onMessage((entry) => {
+            SessionRecorder.record(entry);
             handleRealtimeMessage(entry);
         });
+
+        // 'positions' feed: sensors and positions come from the proxy's lateration
+        MqttHandler.onServerSensors(handleServerSensors);
+        MqttHandler.onPositions(handleServerPositions);
+    }
+
+    // Refreshes the entry count while recording
+    let recordingStatusTimer = null;
+
+    /**
+     * Initialize live session recording controls
+     */
+    function initRecording() {
+        const recordBtn = document.getElementById('btn-record');
+        const exportBtn = document.getElementById('btn-export-recording');
+
+        recordBtn.addEventListener('click', () => {
+            if (SessionRecorder.isRecording()) {
+                SessionRecorder.stop();
+                clearInterval(recordingStatusTimer);
+                recordingStatusTimer = null;
+            } else {
+                SessionRecorder.start(MqttHandler.getTopic());
+                // Entries arrive in bursts, a periodic status update is enough
+                recordingStatusTimer = setInterval(updateRecordingStatus, 1000);
+            }
+            updateRecordingStatus();
+        });
+
+        // Export button - download the session as an offline dataset
+        exportBtn.addEventListener('click', () => {
+            const json = SessionRecorder.exportAsJson();
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `live_session_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            UIController.showSuccess(`Recording exported (${SessionRecorder.getCount()} entries)`);
+        });
+    }
+
+    /**
+     * Update the recording controls
+     */
+    function updateRecordingStatus() {
+        const recording = SessionRecorder.isRecording();
+        const count = SessionRecorder.getCount();
+
+        document.getElementById('record-dot').classList.toggle('recording', recording);
+        document.getElementById('btn-record').textContent = recording ? 'Stop' : 'Record';
+        document.getElementById('btn-export-recording').disabled = recording || count === 0;
+        document.getElementById('record-count').textContent = recording || count > 0
+            ? `${count} entries${recording ? '' : ' recorded'}`
+            : 'No recording';
     }
 
     /**
@@ -282,67 +776,74 @@ const App = (function () {
     }
 
     // ============================================================
-    // Real-time Reading Buffer for Multi-Sensor Lateration
+    // Real-time Pipeline
     // ============================================================
-    // Stores readings from multiple sensors within a time window
-    // Key: mac_hashed, Value: array of { sensor_id, distance, rssi, sensor_lat, sensor_lng, timestamp }
-    const realtimeReadingsBuffer = new Map();
-    const REALTIME_TIME_WINDOW_MS = 15000; // 15 seconds aggregation window
+    // Live entries are appended to DataHandler's indexed store and
+    // positioned by the same windowed pipeline as loaded files
+    // (Lateration.computeAllPositions, including the Kalman filter).
+    //
+    // Every new timestamp is computed in order, once its window is
+    // complete: data time has passed timestamp + window lookahead. A
+    // replay of the same recording therefore yields the same positions.
+    //
+    // The computed results are kept for the last historyMinutes, so the
+    // operator can scroll back on the live timeline while the filters
+    // keep running at the live edge.
+    const REALTIME_CONFIG = {
+        // Wait for more readings before recomputing positions (ms)
+        debounceMs: 500,
+        // Retained live history (minutes)
+        historyMinutes: 10
+    };
     let realtimeUpdateTimer = null;
 
+    // Live timestamps waiting for their window to complete (sorted)
+    let pendingLiveTimestamps = [];
+    // Last computed live timestamp (null when not live)
+    let liveTimestamp = null;
+    // Computed live results: timestamp -> { devices, compareDevices }
+    const liveHistory = new Map();
+    // Live results come from the proxy (nothing to recompute locally)
+    let serverPositions = false;
+
     /**
      * Handle real-time MQTT message
-     * Buffers readings and aggregates from multiple sensors
+     * Appends the entry to the data store and schedules the computation
      */
     function handleRealtimeMessage(entry) {
         console.log('[Data] Processing real-time entry:', entry);
 
-        // Add sensor to map if not already there
-        const sensors = DataHandler.getSensors();
-        if (!sensors.has(entry.device_key)) {
-            const sensorData = {
-                id: entry.device_key,
-                lat: entry.gps[0],
-                lng: entry.gps[1]
-            };
-            sensors.set(entry.device_key, sensorData);
+        const appended = DataHandler.appendEntries([entry]);
+
+        // New sensor: render it and fit the map
+        if (appended.newSensors.length > 0) {
+            const sensors = DataHandler.getSensors();
             MapLayers.renderSensors(sensors);
             UIController.updateSensorCount(sensors.size);
 
-            // Fit map to include new sensor
             const bounds = MapLayers.getSensorBounds();
             if (bounds) {
                 map.fitBounds(bounds.pad(0.2));
             }
         }
 
-        // Buffer device readings from this message
-        if (entry.devices && entry.devices.length > 0) {
-            const now = Date.now();
-
-            entry.devices.forEach(device => {
-                const macHashed = device.mac_hashed;
-                if (!macHashed) return;
+        if (appended.timestamps.length === 0) return;
 
-                // Initialize buffer for this device if needed
-                if (!realtimeReadingsBuffer.has(macHashed)) {
-                    realtimeReadingsBuffer.set(macHashed, []);
-                }
+        if (!TimeControls.isLive()) {
+            TimeControls.setLiveMode(true);
+        }
 
-                // Add reading to buffer
-                realtimeReadingsBuffer.get(macHashed).push({
-                    sensor_id: entry.device_key,
-                    distance: device.distance || device.distance_m || 0,
-                    rssi: device.rssi || -100,
-                    sensor_lat: entry.gps[0],
-                    sensor_lng: entry.gps[1],
-                    timestamp: now
-                });
-            });
+        // Queue new timestamps; late entries for already computed times only feed later windows
+        const lastTime = liveTimestamp ? new Date(liveTimestamp).getTime() : -Infinity;
+        appended.timestamps.forEach(ts => {
+            if (new Date(ts).getTime() > lastTime && !pendingLiveTimestamps.includes(ts)) {
+                pendingLiveTimestamps.push(ts);
+            }
+        });
+        pendingLiveTimestamps.sort();
 
-            // Trigger position computation (debounced)
-            schedulePositionComputation();
-        }
+        // Trigger position computation (debounced)
+        schedulePositionComputation();
     }
 
     /**
@@ -357,69 +858,101 @@ const App = (function () {
         // Schedule computation after a short delay (allows more readings to arrive)
         realtimeUpdateTimer = setTimeout(() => {
             computeRealtimePositions();
-        }, 500); // 500ms debounce
+        }, REALTIME_CONFIG.debounceMs);
     }
 
     /**
-     * Compute positions from buffered readings
-     * Uses time window aggregation like historical data
+     * Compute positions for all live timestamps whose window is complete
+     * Results are stored for scrollback and appended to the live timeline,
+     * which renders the newest one unless the operator is reviewing history.
+     * @param {boolean} flush - Compute all pending timestamps (e.g. on disconnect)
      */
-    function computeRealtimePositions() {
-        const now = Date.now();
-        const cutoffTime = now - REALTIME_TIME_WINDOW_MS;
-        const newDevices = [];
+    function computeRealtimePositions(flush = false) {
+        const timestamps = DataHandler.getTimestamps();
+        if (timestamps.length === 0) return;
 
-        // Process each device in the buffer
-        realtimeReadingsBuffer.forEach((readings, macHashed) => {
-            // Filter to readings within time window
-            const recentReadings = readings.filter(r => r.timestamp >= cutoffTime);
+        const newestTime = new Date(timestamps[timestamps.length - 1]).getTime();
+        const lookahead = DataHandler.getWindowLookahead();
 
-            // Update buffer to only keep recent readings
-            realtimeReadingsBuffer.set(macHashed, recentReadings);
+        const ready = pendingLiveTimestamps.filter(ts =>
+            flush || new Date(ts).getTime() + lookahead <= newestTime
+        );
+        if (ready.length === 0) return;
+        pendingLiveTimestamps = pendingLiveTimestamps.filter(ts => !ready.includes(ts));
 
-            if (recentReadings.length === 0) {
-                realtimeReadingsBuffer.delete(macHashed);
-                return;
-            }
+        // The offline smoother has to include the new readings (rebuilt once per batch)
+        if (Lateration.isSmoothingEnabled()) {
+            Lateration.invalidateSmoothedTracks();
+        }
 
-            // Group readings by sensor (take latest per sensor)
-            const bySensor = new Map();
-            recentReadings.forEach(reading => {
-                const existing = bySensor.get(reading.sensor_id);
-                if (!existing || reading.timestamp > existing.timestamp) {
-                    bySensor.set(reading.sensor_id, reading);
-                }
+        const splitActive = compareMap && document.body.classList.contains('split-view');
+        ready.forEach(ts => {
+            liveHistory.set(ts, {
+                devices: Lateration.computeAllPositions(ts),
+                compareDevices: splitActive ? Lateration.computeAllPositions(ts, COMPARE_VIEW) : null
             });
+        });
+
+        liveTimestamp = ready[ready.length - 1];
+        TimeControls.appendLiveTimestamps(ready);
+        trimLiveHistory();
+        console.log(`[OK] Computed ${ready.length} live timestamp(s), ${liveHistory.get(liveTimestamp).devices.length} devices at ${liveTimestamp}`);
+    }
 
-            // Convert to observations array for lateration
-            const observations = Array.from(bySensor.values()).map(r => ({
-                sensor_id: r.sensor_id,
-                distance: r.distance,
-                rssi: r.rssi,
-                sensor_lat: r.sensor_lat,
-                sensor_lng: r.sensor_lng
-            }));
-
-            console.log(`[Lateration] Device ${macHashed.substring(0, 8)}... has ${observations.length} sensor(s) in time window`);
-
-            // Compute position using lateration
-            const result = Lateration.trilaterate(observations);
-            if (result && !isNaN(result.lat) && !isNaN(result.lng)) {
-                newDevices.push({
-                    macHashed: macHashed,
-                    ...result,
-                    sensorCount: observations.length
-                });
+    /**
+     * Show the sensors of the proxy's lateration service ('positions' feed)
+     * @param {array} sensors - [{ id, lat, lng, height }]
+     */
+    function handleServerSensors(sensors) {
+        serverPositions = true;
+
+        const sensorMap = new Map(sensors.map(sensor => [sensor.id, sensor]));
+        MapLayers.renderSensors(sensorMap);
+        UIController.updateSensorCount(sensorMap.size);
+
+        const bounds = MapLayers.getSensorBounds();
+        if (bounds) {
+            map.fitBounds(bounds.pad(0.2));
+        }
+    }
+
+    /**
+     * Add positions computed by the proxy to the live timeline
+     * Same history and scrollback as locally computed live results.
+     * @param {string} timestamp - Computed timestamp
+     * @param {array} devices - Device results as from Lateration.computeAllPositions
+     */
+    function handleServerPositions(timestamp, devices) {
+        if (!TimeControls.isLive()) {
+            TimeControls.setLiveMode(true);
+        }
+
+        liveHistory.set(timestamp, { devices: devices, compareDevices: null });
+        liveTimestamp = timestamp;
+        TimeControls.appendLiveTimestamps([timestamp]);
+        trimLiveHistory();
+    }
+
+    /**
+     * Drop live results and readings older than the retained history
+     * Readings are kept one sync window longer, pending windows still need them.
+     */
+    function trimLiveHistory() {
+        const cutoff = new Date(liveTimestamp).getTime() - REALTIME_CONFIG.historyMinutes * 60000;
+
+        liveHistory.forEach((result, ts) => {
+            if (new Date(ts).getTime() < cutoff) {
+                liveHistory.delete(ts);
             }
         });
+        TimeControls.trimLiveTimestamps(cutoff);
 
-        // Update map with computed positions
-        if (newDevices.length > 0) {
-            console.log(`[OK] Computed ${newDevices.length} realtime device positions`);
-            currentDevices = newDevices;
-            MapLayers.renderDevices(currentDevices);
-            MapLayers.updateHeatmap(map, currentDevices);
-            ZoneManager.updateDeviceCounts(currentDevices);
+        const dropped = DataHandler.dropBefore(cutoff - DataHandler.getTimeWindow());
+        if (dropped.length > 0) {
+            Lateration.dropCachedTimestamps(dropped);
+            if (Lateration.isSmoothingEnabled()) {
+                Lateration.invalidateSmoothedTracks();
+            }
         }
     }
 
@@ -477,6 +1010,7 @@ const App = (function () {
             const stored = storedGps[sensorId];
             const latValue = stored ? stored.lat : '';
             const lngValue = stored ? stored.lng : '';
+            const heightValue = stored && typeof stored.height === 'number' ? stored.height : '';
 
             const item = document.createElement('div');
             item.className = 'sensor-gps-item';
@@ -504,6 +1038,16 @@ const App = (function () {
                                data-sensor="${sensorId}"
                                data-coord="lng">
                     </div>
+                    <div class="input-group">
+                        <label>Height (m)</label>
+                        <input type="number" 
+                               step="0.1" 
+                               min="0"
+                               placeholder="optional"
+                               value="${heightValue}"
+                               data-sensor="${sensorId}"
+                               data-coord="height">
+                    </div>
                 </div>
             `;
             container.appendChild(item);
@@ -523,13 +1067,21 @@ const App = (function () {
         pendingSensors.forEach(sensorId => {
             const latInput = document.querySelector(`input[data-sensor="${sensorId}"][data-coord="lat"]`);
             const lngInput = document.querySelector(`input[data-sensor="${sensorId}"][data-coord="lng"]`);
+            const heightInput = document.querySelector(`input[data-sensor="${sensorId}"][data-coord="height"]`);
 
             if (latInput && lngInput) {
                 const lat = parseFloat(latInput.value);
                 const lng = parseFloat(lngInput.value);
 
-                if (!isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180) {
-                    gpsMap[sensorId] = { lat, lng };
+                // Empty height = sensor at device height (no slant correction)
+                const heightText = heightInput ? heightInput.value.trim() : '';
+                const height = heightText === '' ? null : parseFloat(heightText);
+
+                if (height !== null && (isNaN(height) || height < 0)) {
+                    valid = false;
+                    heightInput.style.borderColor = 'var(--danger)';
+                } else if (!isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180) {
+                    gpsMap[sensorId] = { lat, lng, height };
                 } else {
                     valid = false;
                     latInput.style.borderColor = 'var(--danger)';
@@ -558,6 +1110,7 @@ const App = (function () {
                     const sensorData = sensors.get(sensorId);
                     sensorData.lat = coords.lat;
                     sensorData.lng = coords.lng;
+                    sensorData.height = coords.height === null ? undefined : coords.height;
                 }
             }
             // Re-render sensors if there are any
@@ -570,7 +1123,7 @@ const App = (function () {
             // MQTT Mode: Assign GPS via MqttHandler
             let processedCount = 0;
             for (const [sensorId, coords] of Object.entries(gpsMap)) {
-                processedCount += MqttHandler.assignSensorGps(sensorId, coords.lat, coords.lng);
+                processedCount += MqttHandler.assignSensorGps(sensorId, coords.lat, coords.lng, coords.height);
             }
 
             // Hide pending notification if all sensors assigned
@@ -611,8 +1164,10 @@ const App = (function () {
                 console.log('[Data] Loaded:', result);
                 UIController.hideLoading();
 
-                // Check if new format needs GPS input
-                if (result.needsGps) {
+                // Recorded live session: sensor GPS and settings come with the file
+                if (result.metadata) {
+                    loadRecordedSession(result);
+                } else if (result.needsGps) {
                     console.log('[GPS] New format detected - GPS input required for sensors:', result.sensors);
                     showGpsModal(result.sensors);
                 } else {
@@ -626,6 +1181,41 @@ const App = (function () {
             });
     }
 
+    /**
+     * Finish loading a recorded live session
+     * Applies the recorded settings and sensor GPS, so the session is
+     * replayed with the same configuration. Sensors without recorded
+     * GPS fall back to the GPS modal.
+     * @param {object} result - loadFromFile result with metadata
+     */
+    function loadRecordedSession(result) {
+        const metadata = result.metadata;
+
+        if (metadata.settings) {
+            const imported = Settings.importFromJson(JSON.stringify(metadata.settings));
+            if (!imported.success) {
+                console.warn('[Data] Recorded settings not applied:', imported.error);
+            }
+        }
+
+        const missing = result.sensors.filter(id => !metadata.sensors[id]);
+        if (missing.length > 0) {
+            console.log('[GPS] Recording lacks GPS for sensors:', missing);
+            showGpsModal(result.sensors);
+            return;
+        }
+
+        DataHandler.setSensorGpsCoordinates(metadata.sensors);
+        const completed = DataHandler.completePendingData();
+
+        if (completed.success) {
+            onDataLoaded();
+            UIController.showSuccess(`Session loaded: ${completed.sensors} sensors, ${completed.timestamps} timestamps`);
+        } else {
+            UIController.showError(completed.error || 'Error processing data');
+        }
+    }
+
     /**
      * Load sample data from the same directory
      */
@@ -651,6 +1241,10 @@ const App = (function () {
         // Clear previous data
         MapLayers.clearAll();
         Lateration.clearCache();
+        liveTimestamp = null;
+        pendingLiveTimestamps = [];
+        liveHistory.clear();
+        serverPositions = false;
 
         // Render sensors
         const sensors = DataHandler.getSensors();
@@ -677,13 +1271,18 @@ const App = (function () {
 
     /**
      * Handle timestamp change from time controls
+     * Live timestamps show their stored result: recomputing an older
+     * timestamp would rewind the filters running at the live edge.
      * @param {string} timestamp - Current timestamp
+     * @param {boolean} recompute - Ignore the stored live result (e.g. after settings changed)
      */
-    function handleTimestampChange(timestamp) {
+    function handleTimestampChange(timestamp, recompute = false) {
         if (!timestamp) return;
 
+        const liveResult = recompute ? null : liveHistory.get(timestamp);
+
         // Compute device positions
-        currentDevices = Lateration.computeAllPositions(timestamp);
+        currentDevices = liveResult ? liveResult.devices : Lateration.computeAllPositions(timestamp);
 
         // Render devices
         MapLayers.renderDevices(currentDevices);
@@ -696,10 +1295,73 @@ const App = (function () {
             MapLayers.renderDebugCircles(currentDevices);
         }
 
+        // Update particle clouds if the layer is on
+        if (document.getElementById('layer-particles').checked) {
+            MapLayers.renderParticles(currentDevices);
+        }
+
+        // Split view: same timestamp, computed with the comparison view's estimator
+        let compareDevices = liveResult ? liveResult.compareDevices : null;
+        if (compareMap && document.body.classList.contains('split-view')) {
+            if (!compareDevices) {
+                compareDevices = Lateration.computeAllPositions(timestamp, COMPARE_VIEW);
+            }
+            MapLayers.renderCompareDevices(compareDevices);
+            const estimator = Lateration.getEstimators().find(e => e.name === Lateration.getEstimator(COMPARE_VIEW));
+            MapLayers.setCompareMapLabel(estimator.label);
+        }
+
+        if (liveHistory.has(timestamp)) {
+            liveHistory.set(timestamp, { devices: currentDevices, compareDevices: compareDevices });
+        }
+
         // Update zone device counts
         ZoneManager.updateDeviceCounts(currentDevices);
     }
 
+    /**
+     * Show or hide the split view
+     * The second map is created on first use and follows the main map's view.
+     * @param {boolean} enabled - true to show both maps side by side
+     */
+    function setSplitView(enabled) {
+        document.body.classList.toggle('split-view', enabled);
+
+        if (enabled && !compareMap) {
+            compareMap = L.map('map-compare', {
+                center: map.getCenter(),
+                zoom: map.getZoom(),
+                zoomControl: false
+            });
+            UIController.attachMap(compareMap);
+            MapLayers.initCompareMap(compareMap);
+        }
+
+        // Container sizes changed
+        map.invalidateSize();
+        if (compareMap) {
+            compareMap.invalidateSize();
+        }
+
+        refreshCurrentTimestamp();
+    }
+
+    /**
+     * Re-render the current timestamp (e.g. after changing lateration settings)
+     * While reviewing live history the stored result is shown, recomputing
+     * is only safe at the live edge. Positions from the proxy are never recomputed.
+     */
+    function refreshCurrentTimestamp() {
+        const timestamps = DataHandler.getTimestamps();
+        if (timestamps.length > 0 || serverPositions) {
+            const currentTimestamp = TimeControls.getCurrentTimestamp() || liveTimestamp;
+            if (currentTimestamp) {
+                const recompute = !serverPositions && (!TimeControls.isLive() || TimeControls.isFollowingLive());
+                handleTimestampChange(currentTimestamp, recompute);
+            }
+        }
+    }
+
     /**
      * Handle zone change event
      */
@@ -731,7 +1393,8 @@ const App = (function () {
         loadSampleData,
         getMap,
         getCurrentDevices,
-        showGpsModal
+        showGpsModal,
+        REALTIME_CONFIG
     };
 })();
 
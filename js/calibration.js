@@ -0,0 +1,268 @@
+/**
+ * ============================================================
+ * Calibration Module
+ * ============================================================
+ * Estimates per-sensor distance bias and scale from a recording in
+ * which a reference device was placed at known, marked positions.
+ *
+ * For every reading of the reference device the true distance is the
+ * 3D distance between sensor (with its mount height) and the marked
+ * position at the assumed device height. Per sensor we fit
+ *   true distance = scale * measured distance + offset
+ * by least squares and show the result in a report dialog before it is
+ * stored in GpsStorage.
+ *
+ * Reference file format:
+ * {
+ *   "device": "<mac_hashed of the reference device>",
+ *   "positions": [
+ *     { "from": "<ISO timestamp>", "to": "<ISO timestamp>", "lat": 50.93, "lng": 6.98 },
+ *     ...
+ *   ]
+ * }
+ */
+
+const Calibration = (function () {
+    // Fit result waiting for the user to apply it
+    let pendingResult = null;
+    let onApplyCallback = null;
+    // Removes the stored calibration (distance report only)
+    let onResetCallback = null;
+
+    /**
+     * Validate a reference file
+     * @param {object} reference - Parsed reference JSON
+     * @returns {object} { valid, error? }
+     */
+    function validateReference(reference) {
+        if (!reference || typeof reference.device !== 'string' || !reference.device) {
+            return { valid: false, error: 'Missing reference device MAC hash' };
+        }
+        if (!Array.isArray(reference.positions) || reference.positions.length === 0) {
+            return { valid: false, error: 'No marked positions given' };
+        }
+        for (let i = 0; i < reference.positions.length; i++) {
+            const p = reference.positions[i];
+            if (typeof p.lat !== 'number' || typeof p.lng !== 'number' ||
+                isNaN(new Date(p.from).getTime()) || isNaN(new Date(p.to).getTime())) {
+                return { valid: false, error: `Invalid marked position ${i}` };
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Fit distance offset and scale per sensor
+     * @param {array} rawData - Processed entries from DataHandler.getRawData()
+     * @param {object} reference - { device, positions: [{ from, to, lat, lng }] }
+     * @returns {object} Map of sensor_id -> { offset, scale, samples, rmsBefore, rmsAfter }
+     */
+    function fitDistanceCalibration(rawData, reference) {
+        const intervals = reference.positions.map(p => ({
+            from: new Date(p.from).getTime(),
+            to: new Date(p.to).getTime(),
+            lat: p.lat,
+            lng: p.lng
+        }));
+
+        // Collect (measured, true) pairs per sensor
+        const samplesBySensor = new Map();
+
+        rawData.forEach(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            const marked = intervals.find(m => time >= m.from && time <= m.to);
+            if (!marked) return;
+
+            entry.devices.forEach(device => {
+                if (device.mac_hashed !== reference.device) return;
+
+                const offset = Lateration.gpsToMeters(marked.lat, marked.lng, entry.gps[0], entry.gps[1]);
+                const dz = typeof entry.gps[2] === 'number' ? entry.gps[2] - Lateration.SOLVER_CONFIG.deviceHeight : 0;
+                const trueDistance = Math.sqrt(offset.x * offset.x + offset.y * offset.y + dz * dz);
+
+                if (!samplesBySensor.has(entry.device_key)) {
+                    samplesBySensor.set(entry.device_key, []);
+                }
+                samplesBySensor.get(entry.device_key).push({ measured: DataHandler.resolveReading(entry.device_key, device), truth: trueDistance });
+            });
+        });
+
+        const result = {};
+
+        samplesBySensor.forEach((samples, sensorId) => {
+            const n = samples.length;
+            const meanX = samples.reduce((sum, s) => sum + s.measured, 0) / n;
+            const meanY = samples.reduce((sum, s) => sum + s.truth, 0) / n;
+            let sxx = 0, sxy = 0;
+            samples.forEach(s => {
+                sxx += (s.measured - meanX) * (s.measured - meanX);
+                sxy += (s.measured - meanX) * (s.truth - meanY);
+            });
+
+            // Need a spread of distances to separate scale from offset
+            let scale = 1;
+            if (n >= 2 && sxx > 1e-6 && sxy / sxx > 0) {
+                scale = sxy / sxx;
+            }
+            const offset = meanY - scale * meanX;
+
+            const rms = fn => Math.sqrt(samples.reduce((sum, s) => sum + Math.pow(fn(s) - s.truth, 2), 0) / n);
+
+            result[sensorId] = {
+                offset: offset,
+                scale: scale,
+                samples: n,
+                rmsBefore: rms(s => s.measured),
+                rmsAfter: rms(s => scale * s.measured + offset)
+            };
+        });
+
+        return result;
+    }
+
+    /**
+     * Show the calibration report dialog
+     * @param {object} result - Fit result from fitDistanceCalibration
+     * @param {function} onApply - Called with the result when the user applies it
+     * @param {function} onReset - Called when the user resets the stored calibration
+     */
+    function showReport(result, onApply, onReset = null) {
+        pendingResult = result;
+        onApplyCallback = onApply;
+        onResetCallback = onReset;
+        document.getElementById('reset-calibration').style.display = onReset ? '' : 'none';
+
+        const modal = document.getElementById('calibration-modal');
+        const summary = document.getElementById('calibration-summary');
+        const table = document.getElementById('calibration-table');
+
+        document.getElementById('calibration-modal-title').textContent = 'Distance Calibration';
+        const sensorIds = Object.keys(result).sort();
+        const totalSamples = sensorIds.reduce((sum, id) => sum + result[id].samples, 0);
+        summary.textContent = `${sensorIds.length} sensors, ${totalSamples} reference readings`;
+
+        let rows = '';
+        sensorIds.forEach(sensorId => {
+            const r = result[sensorId];
+            rows += `
+                <tr>
+                    <td>${sensorId}</td>
+                    <td>${r.samples}</td>
+                    <td>${r.scale.toFixed(3)}</td>
+                    <td>${r.offset >= 0 ? '+' : ''}${r.offset.toFixed(2)}m</td>
+                    <td>${r.rmsBefore.toFixed(2)}m</td>
+                    <td>${r.rmsAfter.toFixed(2)}m</td>
+                </tr>
+            `;
+        });
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Sensor</th>
+                    <th>Samples</th>
+                    <th>Scale</th>
+                    <th>Offset</th>
+                    <th>RMS before</th>
+                    <th>RMS after</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        `;
+
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Show the fitted path-loss parameters in the report dialog
+     * @param {object} fitted - Fit result from PathLoss.calibrate
+     * @param {function} onApply - Called with the result when the user applies it
+     */
+    function showPathLossReport(fitted, onApply) {
+        pendingResult = fitted;
+        onApplyCallback = onApply;
+        onResetCallback = null;
+        document.getElementById('reset-calibration').style.display = 'none';
+
+        const modal = document.getElementById('calibration-modal');
+        const summary = document.getElementById('calibration-summary');
+        const table = document.getElementById('calibration-table');
+
+        document.getElementById('calibration-modal-title').textContent = 'Path-Loss Calibration';
+        const sensorIds = Object.keys(fitted).sort();
+        const totalSamples = sensorIds.reduce((sum, id) => sum + fitted[id].samples, 0);
+        summary.textContent = `${sensorIds.length} sensors, ${totalSamples} beacon readings`;
+
+        let rows = '';
+        sensorIds.forEach(sensorId => {
+            const p = fitted[sensorId];
+            rows += `
+                <tr>
+                    <td>${sensorId}</td>
+                    <td>${p.samples}</td>
+                    <td>${p.txPower.toFixed(1)} dBm</td>
+                    <td>${p.exponent.toFixed(2)}</td>
+                    <td>${p.residualStd.toFixed(1)} dB</td>
+                </tr>
+            `;
+        });
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Sensor</th>
+                    <th>Samples</th>
+                    <th>TX power</th>
+                    <th>Exponent</th>
+                    <th>Residual std</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        `;
+
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the report dialog without applying
+     */
+    function closeReport() {
+        document.getElementById('calibration-modal').style.display = 'none';
+        pendingResult = null;
+        onApplyCallback = null;
+        onResetCallback = null;
+    }
+
+    /**
+     * Initialize dialog buttons
+     */
+    function init() {
+        document.getElementById('apply-calibration').addEventListener('click', () => {
+            const result = pendingResult;
+            const callback = onApplyCallback;
+            closeReport();
+            if (result && callback) {
+                callback(result);
+            }
+        });
+        document.getElementById('reset-calibration').addEventListener('click', () => {
+            const callback = onResetCallback;
+            closeReport();
+            if (callback) {
+                callback();
+            }
+        });
+        document.getElementById('cancel-calibration').addEventListener('click', closeReport);
+        document.getElementById('close-calibration-modal').addEventListener('click', closeReport);
+    }
+
+    // Public API
+    return {
+        init,
+        validateReference,
+        fitDistanceCalibration,
+        showReport,
+        showPathLossReport,
+        closeReport
+    };
+})();
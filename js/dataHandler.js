@@ -15,6 +15,18 @@ const DataHandler = (function () {
     // Solution: All readings within TIME_WINDOW_MS are considered "simultaneous"
     let TIME_WINDOW_MS = 15000; // Default: 15 seconds
 
+    // Readings after the target timestamp that still count (default: same as
+    // the window, i.e. centered). Live data has no future readings yet, so
+    // live positions are computed once this lookahead has passed in data time.
+    let WINDOW_LOOKAHEAD_MS = 15000;
+
+    // RSSI assumed when a reading carries none (dBm)
+    // deviceList: entries of a devices array, singleReading: one-device payloads
+    const RSSI_DEFAULTS = {
+        deviceList: -100,
+        singleReading: -70
+    };
+
     // Internal state
     let rawData = [];
     let normalizedData = null;
@@ -27,12 +39,20 @@ const DataHandler = (function () {
     let pendingNewFormatData = null;
     let sensorGpsCoordinates = new Map(); // User-provided GPS coordinates
 
+    // Per-sensor distance calibration: sensor_id -> { offset, scale }
+    let distanceCalibration = new Map();
+
     /**
      * Detect data format type
      * @param {object} data - Parsed JSON data
-     * @returns {string} 'old' for format with GPS, 'new' for format without GPS, 'raspberry' for Raspberry Pi format
+     * @returns {string} 'old' for format with GPS, 'new' for format without GPS, 'raspberry' for Raspberry Pi format,
+     *                   'session' for a recorded live session (see SessionRecorder)
      */
     function detectFormat(data) {
+        // Recorded live session: Raspberry Pi messages plus metadata
+        if (data && !Array.isArray(data) && data.recording === 'smo-live-session' && Array.isArray(data.messages)) {
+            return 'session';
+        }
         if (Array.isArray(data)) {
             // Old format: array of entries with gps field
             if (data.length > 0 && data[0].gps) {
@@ -89,7 +109,9 @@ const DataHandler = (function () {
             const format = detectFormat(data);
             console.log(`[Data] Detected format: ${format}`);
 
-            if (format === 'raspberry') {
+            if (format === 'session') {
+                return parseSessionRecording(data);
+            } else if (format === 'raspberry') {
                 return parseRaspberryFormat(data);
             } else if (format === 'new') {
                 return parseNewFormat(data);
@@ -169,14 +191,11 @@ const DataHandler = (function () {
             }
 
             // Parse devices from new format
+            // Distance comes from distance_m/distance, or from RSSI via the path-loss model
             const validDevices = devices
                 .filter(d => d && d.mac_hashed)
-                .map(d => ({
-                    mac_hashed: d.mac_hashed,
-                    mac: d.mac || null,
-                    rssi: typeof d.rssi === 'number' ? d.rssi : -100,
-                    distance: d.distance_m || d.distance || 0  // Support both distance_m and distance
-                }));
+                .map(d => createDeviceReading(deviceKey, d, RSSI_DEFAULTS.deviceList))
+                .filter(d => d.distance !== null);
 
             parsedEntries.push({
                 device_key: deviceKey,
@@ -252,23 +271,18 @@ const DataHandler = (function () {
             }
 
             // Extract device data from payload
+            // RSSI-only firmware: distance is derived with the path-loss model
             const mac = payloadData.mac;
-            const distance = payloadData.distance;
             const time = payloadData.time;
+            const deviceReading = mac
+                ? createDeviceReading(sensorId, { mac_hashed: mac, mac: mac, distance: payloadData.distance, rssi: payloadData.rssi }, RSSI_DEFAULTS.singleReading)
+                : null;
 
-            if (!mac || typeof distance !== 'number') {
+            if (!deviceReading || deviceReading.distance === null) {
                 console.warn('Invalid payload data:', payloadData);
                 continue;
             }
 
-            // Create device reading
-            const deviceReading = {
-                mac_hashed: mac,
-                mac: mac,
-                distance: distance,
-                rssi: payloadData.rssi || -70 // Default RSSI if not provided
-            };
-
             // Use entry timestamp or convert Unix time
             let timestamp = entry.timestamp;
             if (!timestamp && time) {
@@ -324,9 +338,36 @@ const DataHandler = (function () {
         };
     }
 
+    /**
+     * Parse a recorded live session
+     * The messages are Raspberry Pi format; sensor GPS and settings are
+     * returned as metadata so the session can be reproduced.
+     * @param {object} data - Session recording { sensors, settings, messages, ... }
+     * @returns {object} Validation result with metadata { sensors, settings, startedAt, stoppedAt, topic }
+     */
+    function parseSessionRecording(data) {
+        if (data.version > 1) {
+            return { valid: false, error: `Unsupported recording version ${data.version}` };
+        }
+
+        const result = parseRaspberryFormat(data.messages);
+        if (!result.valid) {
+            return result;
+        }
+
+        result.metadata = {
+            sensors: data.sensors || {},
+            settings: data.settings || null,
+            startedAt: data.startedAt || null,
+            stoppedAt: data.stoppedAt || null,
+            topic: data.topic || ''
+        };
+        return result;
+    }
+
     /**
      * Set GPS coordinates for sensors (new format)
-     * @param {Map|Object} gpsMap - Map of sensor_id -> { lat, lng }
+     * @param {Map|Object} gpsMap - Map of sensor_id -> { lat, lng, height? }
      */
     function setSensorGpsCoordinates(gpsMap) {
         sensorGpsCoordinates.clear();
@@ -362,7 +403,7 @@ const DataHandler = (function () {
             if (gps && typeof gps.lat === 'number' && typeof gps.lng === 'number') {
                 validatedData.push({
                     ...entry,
-                    gps: [gps.lat, gps.lng]
+                    gps: typeof gps.height === 'number' ? [gps.lat, gps.lng, gps.height] : [gps.lat, gps.lng]
                 });
             } else {
                 console.warn(`âš ï¸ No GPS coordinates for sensor: ${entry.device_key}`);
@@ -395,7 +436,7 @@ const DataHandler = (function () {
             return { valid: false, error: 'Missing or invalid device_key' };
         }
 
-        // GPS coordinates - must be array of [lat, lng]
+        // GPS coordinates - must be array of [lat, lng] or [lat, lng, mount height]
         if (!entry.gps || !Array.isArray(entry.gps) || entry.gps.length < 2) {
             return { valid: false, error: 'Missing or invalid GPS coordinates' };
         }
@@ -407,6 +448,9 @@ const DataHandler = (function () {
             return { valid: false, error: 'Invalid GPS coordinate values' };
         }
 
+        // Optional mount height above ground in meters
+        const height = entry.gps.length > 2 ? parseFloat(entry.gps[2]) : NaN;
+
         // Timestamp - try to parse
         let timestamp = entry.timestamp;
         if (!timestamp) {
@@ -419,28 +463,62 @@ const DataHandler = (function () {
             devices = [];
         }
 
-        // Validate and clean devices - support both distance and distance_m
+        // Validate and clean devices - support distance, distance_m or RSSI only
+        // Readings without any usable ranging source are dropped
         const validDevices = devices
-            .filter(d => d && d.mac_hashed && (typeof d.distance === 'number' || typeof d.distance_m === 'number'))
-            .map(d => ({
-                mac_hashed: d.mac_hashed,
-                mac: d.mac || null,
-                rssi: typeof d.rssi === 'number' ? d.rssi : -100,
-                distance: d.distance_m || d.distance || 0
-            }))
-            .filter(d => d.distance >= 0);
+            .filter(d => d && d.mac_hashed)
+            .map(d => createDeviceReading(deviceKey, d, RSSI_DEFAULTS.deviceList))
+            .filter(d => d.distance !== null && d.distance >= 0);
 
         return {
             valid: true,
             data: {
                 device_key: deviceKey,
-                gps: [lat, lng],
+                gps: isNaN(height) ? [lat, lng] : [lat, lng, height],
                 timestamp: timestamp,
                 devices: validDevices
             }
         };
     }
 
+    /**
+     * Create a device reading from a raw device entry (distance_m, distance and/or RSSI)
+     * The raw inputs are kept: the distance is resolved again whenever a
+     * window is read (see resolveReading), so path-loss mode and parameter
+     * changes apply to loaded data. `distance` is the value at parse time.
+     * @param {string} sensorId - Sensor identifier (for per-sensor path-loss parameters)
+     * @param {object} device - Raw device entry
+     * @param {number} defaultRssi - RSSI shown when the reading has none
+     * @returns {object} { mac_hashed, mac, rssi, distance, reported_distance, measured_rssi }
+     */
+    function createDeviceReading(sensorId, device, defaultRssi) {
+        const reported = typeof device.distance_m === 'number' ? device.distance_m : device.distance;
+        const reportedDistance = typeof reported === 'number' ? reported : null;
+        const measuredRssi = typeof device.rssi === 'number' ? device.rssi : null;
+
+        return {
+            mac_hashed: device.mac_hashed,
+            mac: device.mac || null,
+            rssi: measuredRssi !== null ? measuredRssi : defaultRssi,
+            distance: PathLoss.resolveDistance(sensorId, reportedDistance, measuredRssi),
+            reported_distance: reportedDistance,
+            measured_rssi: measuredRssi
+        };
+    }
+
+    /**
+     * Current distance of a stored reading with the active path-loss model
+     * Readings without raw inputs (older recordings) keep their distance.
+     * @param {string} sensorId - Sensor identifier
+     * @param {object} device - Stored device reading
+     * @returns {number} Distance in meters
+     */
+    function resolveReading(sensorId, device) {
+        if (!('measured_rssi' in device)) return device.distance;
+        const distance = PathLoss.resolveDistance(sensorId, device.reported_distance, device.measured_rssi);
+        return distance === null ? device.distance : distance;
+    }
+
     /**
      * Process validated data into internal structures
      * @param {array} data - Validated sensor data array
@@ -457,7 +535,8 @@ const DataHandler = (function () {
                 sensorMap.set(entry.device_key, {
                     id: entry.device_key,
                     lat: entry.gps[0],
-                    lng: entry.gps[1]
+                    lng: entry.gps[1],
+                    height: entry.gps[2]
                 });
             }
         });
@@ -476,6 +555,113 @@ const DataHandler = (function () {
         normalizedData = createGeoJSON();
     }
 
+    /**
+     * Normalize a live timestamp
+     * Unix times (seconds or milliseconds) become ISO strings, strings are kept.
+     * @param {string|number} value - Timestamp from the message
+     * @returns {string|null} Timestamp string or null if not parseable
+     */
+    function normalizeTimestamp(value) {
+        if (typeof value === 'number' && isFinite(value)) {
+            return new Date(value < 1e12 ? value * 1000 : value).toISOString();
+        }
+        if (typeof value === 'string' && !isNaN(new Date(value).getTime())) {
+            return value;
+        }
+        return null;
+    }
+
+    /**
+     * Append live entries to the indexed store
+     * Live data then goes through the same windowed lookup as loaded files.
+     * @param {array} entries - Entries { device_key, timestamp, devices, gps }
+     * @returns {object} { timestamps: new or extended timestamps (sorted), newSensors: [sensor_id] }
+     */
+    function appendEntries(entries) {
+        const touched = new Set();
+        const newSensors = [];
+
+        entries.forEach(entry => {
+            if (!entry || !entry.device_key || !Array.isArray(entry.gps) || !Array.isArray(entry.devices)) {
+                return;
+            }
+            const timestamp = normalizeTimestamp(entry.timestamp);
+            if (!timestamp) {
+                console.warn('[Data] Dropping live entry without valid timestamp:', entry);
+                return;
+            }
+
+            const stored = { ...entry, timestamp: timestamp };
+            rawData.push(stored);
+
+            if (!sensorMap.has(entry.device_key)) {
+                sensorMap.set(entry.device_key, {
+                    id: entry.device_key,
+                    lat: entry.gps[0],
+                    lng: entry.gps[1],
+                    height: entry.gps[2]
+                });
+                newSensors.push(entry.device_key);
+            }
+
+            if (!dataByTimestamp.has(timestamp)) {
+                dataByTimestamp.set(timestamp, []);
+                insertTimestamp(timestamp);
+            }
+            dataByTimestamp.get(timestamp).push(stored);
+            touched.add(timestamp);
+        });
+
+        if (newSensors.length > 0) {
+            normalizedData = createGeoJSON();
+        }
+
+        return {
+            timestamps: Array.from(touched).sort(),
+            newSensors: newSensors
+        };
+    }
+
+    /**
+     * Insert a timestamp into the sorted list (same order as processData)
+     * @param {string} timestamp - New timestamp
+     */
+    function insertTimestamp(timestamp) {
+        let low = 0;
+        let high = timestamps.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (timestamps[mid] < timestamp) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        timestamps.splice(low, 0, timestamp);
+    }
+
+    /**
+     * Drop stored entries older than a cutoff (bounded live history)
+     * Sensors are kept, only their readings are removed.
+     * @param {number} cutoffTime - Epoch milliseconds
+     * @returns {array} Dropped timestamps
+     */
+    function dropBefore(cutoffTime) {
+        let count = 0;
+        while (count < timestamps.length && new Date(timestamps[count]).getTime() < cutoffTime) {
+            count++;
+        }
+        if (count === 0) return [];
+
+        const dropped = timestamps.splice(0, count);
+        dropped.forEach(ts => dataByTimestamp.delete(ts));
+
+        const droppedSet = new Set(dropped);
+        rawData = rawData.filter(entry => !droppedSet.has(entry.timestamp));
+
+        return dropped;
+    }
+
     /**
      * Create GeoJSON FeatureCollection from processed data
      * @returns {object} GeoJSON FeatureCollection
@@ -507,7 +693,7 @@ const DataHandler = (function () {
 
     /**
      * Get all unique sensors
-     * @returns {Map} Map of sensor_id -> { id, lat, lng }
+     * @returns {Map} Map of sensor_id -> { id, lat, lng, height }
      */
     function getSensors() {
         return sensorMap;
@@ -524,7 +710,7 @@ const DataHandler = (function () {
     /**
      * Get all device readings for a specific timestamp
      * @param {string} timestamp - Target timestamp
-     * @returns {Map} Map of mac_hashed -> array of { sensor_id, distance, rssi }
+     * @returns {Map} Map of mac_hashed -> array of { sensor_id, distance, raw_distance, rssi }
      */
     function getDevicesAt(timestamp) {
         const deviceMap = new Map();
@@ -535,12 +721,15 @@ const DataHandler = (function () {
                 if (!deviceMap.has(device.mac_hashed)) {
                     deviceMap.set(device.mac_hashed, []);
                 }
+                const distance = resolveReading(entry.device_key, device);
                 deviceMap.get(device.mac_hashed).push({
                     sensor_id: entry.device_key,
-                    distance: device.distance,
+                    distance: calibrateDistance(entry.device_key, distance),
+                    raw_distance: distance,
                     rssi: device.rssi,
                     sensor_lat: entry.gps[0],
-                    sensor_lng: entry.gps[1]
+                    sensor_lng: entry.gps[1],
+                    sensor_height: entry.gps[2]
                 });
             });
         });
@@ -555,17 +744,18 @@ const DataHandler = (function () {
      * Solves the async sensor problem: If Sensor A reports at 12:00:01
      * and Sensor B reports at 12:00:10, both readings are collected
      * when the time window is >= 15 seconds.
+     * The window is [timestamp - TIME_WINDOW_MS, timestamp + WINDOW_LOOKAHEAD_MS].
      * 
-     * @param {string} timestamp - Center timestamp for the window
+     * @param {string} timestamp - Target timestamp for the window
      * @returns {Map} Map of mac_hashed -> array of { sensor_id, distance, rssi, timestamp }
      */
     function getDevicesInTimeWindow(timestamp) {
         const deviceMap = new Map();
         const centerTime = new Date(timestamp).getTime();
 
-        // Find all timestamps within window: [centerTime - window, centerTime + window]
+        // Find all timestamps within window: [centerTime - window, centerTime + lookahead]
         const windowStart = centerTime - TIME_WINDOW_MS;
-        const windowEnd = centerTime + TIME_WINDOW_MS;
+        const windowEnd = centerTime + WINDOW_LOOKAHEAD_MS;
 
         // Track which sensor-device combinations we've already processed
         // to avoid duplicate readings from the same sensor
@@ -590,12 +780,15 @@ const DataHandler = (function () {
                                 deviceMap.set(device.mac_hashed, []);
                             }
 
+                            const distance = resolveReading(entry.device_key, device);
                             deviceMap.get(device.mac_hashed).push({
                                 sensor_id: entry.device_key,
-                                distance: device.distance,
+                                distance: calibrateDistance(entry.device_key, distance),
+                                raw_distance: distance,
                                 rssi: device.rssi,
                                 sensor_lat: entry.gps[0],
                                 sensor_lng: entry.gps[1],
+                                sensor_height: entry.gps[2],
                                 original_timestamp: ts,
                                 time_offset_ms: tsTime - centerTime
                             });
@@ -608,6 +801,36 @@ const DataHandler = (function () {
         return deviceMap;
     }
 
+    /**
+     * Apply the per-sensor distance calibration to a measured distance
+     * @param {string} sensorId - Sensor identifier
+     * @param {number} measured - Measured distance in meters
+     * @returns {number} Corrected distance in meters
+     */
+    function calibrateDistance(sensorId, measured) {
+        const calibration = distanceCalibration.get(sensorId);
+        if (!calibration) return measured;
+        return Math.max(0, calibration.scale * measured + calibration.offset);
+    }
+
+    /**
+     * Set per-sensor distance calibration (applied before lateration)
+     * @param {Map|Object} calibrationMap - Map of sensor_id -> { offset, scale }
+     */
+    function setDistanceCalibration(calibrationMap) {
+        distanceCalibration.clear();
+
+        const entries = calibrationMap instanceof Map ? calibrationMap.entries() : Object.entries(calibrationMap);
+        for (const [sensorId, calibration] of entries) {
+            distanceCalibration.set(sensorId, {
+                offset: typeof calibration.offset === 'number' ? calibration.offset : 0,
+                scale: typeof calibration.scale === 'number' ? calibration.scale : 1
+            });
+        }
+
+        console.log(`[Data] Distance calibration set for ${distanceCalibration.size} sensors`);
+    }
+
     /**
      * Set the time synchronization window
      * @param {number} windowMs - Time window in milliseconds
@@ -625,6 +848,23 @@ const DataHandler = (function () {
         return TIME_WINDOW_MS;
     }
 
+    /**
+     * Set how far after the target timestamp readings are still used
+     * @param {number} lookaheadMs - Lookahead in milliseconds (0 = only past readings)
+     */
+    function setWindowLookahead(lookaheadMs) {
+        WINDOW_LOOKAHEAD_MS = Math.max(0, lookaheadMs);
+        console.log(`[Data] Window lookahead set to ${WINDOW_LOOKAHEAD_MS}ms`);
+    }
+
+    /**
+     * Get the window lookahead
+     * @returns {number} Lookahead in milliseconds
+     */
+    function getWindowLookahead() {
+        return WINDOW_LOOKAHEAD_MS;
+    }
+
     /**
      * Get sensor data by ID
      * @param {string} sensorId - Sensor identifier
@@ -680,7 +920,8 @@ const DataHandler = (function () {
                             success: true,
                             needsGps: true,
                             sensors: result.sensors,
-                            entryCount: result.entryCount
+                            entryCount: result.entryCount,
+                            metadata: result.metadata || null
                         });
                     } else {
                         // Old format with GPS - process immediately
@@ -745,6 +986,14 @@ const DataHandler = (function () {
         getDevicesInTimeWindow,  // Synchronized sensor readings
         setTimeWindow,           // Configure sync window (default 15s)
         getTimeWindow,           // Get current sync window
+        setWindowLookahead,      // Readings after the target timestamp (default = window)
+        getWindowLookahead,
+        dropBefore,
+        appendEntries,           // Live data into the indexed store
+        RSSI_DEFAULTS,           // RSSI used when a reading has none
+        createDeviceReading,     // Device reading that keeps its raw RSSI/distance
+        resolveReading,          // Distance of a stored reading with the current path-loss model
+        setDistanceCalibration,  // Per-sensor distance offset/scale
         setSensorGpsCoordinates, // NEW: Set GPS for sensors (new format)
         completePendingData,     // NEW: Complete processing after GPS input
         getSensorById,
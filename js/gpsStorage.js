@@ -4,6 +4,12 @@
  * ============================================================
  * Handles persistent storage of sensor GPS coordinates using localStorage.
  * Allows saving, loading, and editing of GPS coordinates for sensors.
+ *
+ * Each sensor record may also carry its mount height above ground and
+ * its distance calibration:
+ *   { lat, lng, height, distanceOffset, distanceScale }
+ * height is in meters (null or missing = at device height),
+ * corrected distance = distanceScale * measured distance + distanceOffset
  */
 
 const GpsStorage = (function () {
@@ -55,21 +61,95 @@ const GpsStorage = (function () {
      * @param {string} sensorId - Sensor identifier
      * @param {number} lat - Latitude
      * @param {number} lng - Longitude
+     * @param {number} height - Mount height above ground in meters (optional, null to clear)
      */
-    function set(sensorId, lat, lng) {
+    function set(sensorId, lat, lng, height) {
         const all = loadAll();
-        all[sensorId] = { lat, lng };
+        all[sensorId] = { ...all[sensorId], lat, lng };
+        if (height !== undefined) {
+            all[sensorId].height = height;
+        }
         saveAll(all);
     }
 
+    /**
+     * Get mount height of a sensor
+     * @param {string} sensorId - Sensor identifier
+     * @returns {number|null} Height in meters or null if not set
+     */
+    function getHeight(sensorId) {
+        const entry = get(sensorId);
+        return entry && typeof entry.height === 'number' ? entry.height : null;
+    }
+
     /**
      * Set GPS coordinates for multiple sensors
-     * @param {object} gpsMap - Map of sensor_id -> { lat, lng }
+     * Existing fields (e.g. distance calibration) are kept unless overwritten.
+     * @param {object} gpsMap - Map of sensor_id -> { lat, lng, height? }
      */
     function setMultiple(gpsMap) {
         const all = loadAll();
         for (const [sensorId, coords] of Object.entries(gpsMap)) {
-            all[sensorId] = coords;
+            all[sensorId] = { ...all[sensorId], ...coords };
+        }
+        saveAll(all);
+    }
+
+    /**
+     * Get distance calibration for a sensor
+     * @param {string} sensorId - Sensor identifier
+     * @returns {object} { offset, scale } (identity if not calibrated)
+     */
+    function getCalibration(sensorId) {
+        const entry = get(sensorId);
+        return {
+            offset: entry && typeof entry.distanceOffset === 'number' ? entry.distanceOffset : 0,
+            scale: entry && typeof entry.distanceScale === 'number' ? entry.distanceScale : 1
+        };
+    }
+
+    /**
+     * Get distance calibrations of all sensors that have one
+     * @returns {object} Map of sensor_id -> { offset, scale }
+     */
+    function getAllCalibrations() {
+        const all = loadAll();
+        const calibrations = {};
+        for (const [sensorId, entry] of Object.entries(all)) {
+            if (typeof entry.distanceOffset === 'number' || typeof entry.distanceScale === 'number') {
+                calibrations[sensorId] = getCalibration(sensorId);
+            }
+        }
+        return calibrations;
+    }
+
+    /**
+     * Set distance calibration for multiple sensors
+     * Sensors without stored GPS coordinates are skipped.
+     * @param {object} calibrationMap - Map of sensor_id -> { offset, scale }
+     * @returns {number} Number of sensors updated
+     */
+    function setCalibrations(calibrationMap) {
+        const all = loadAll();
+        let count = 0;
+        for (const [sensorId, calibration] of Object.entries(calibrationMap)) {
+            if (!all[sensorId]) continue;
+            all[sensorId].distanceOffset = calibration.offset;
+            all[sensorId].distanceScale = calibration.scale;
+            count++;
+        }
+        saveAll(all);
+        return count;
+    }
+
+    /**
+     * Remove distance calibration from all sensors
+     */
+    function clearCalibrations() {
+        const all = loadAll();
+        for (const entry of Object.values(all)) {
+            delete entry.distanceOffset;
+            delete entry.distanceScale;
         }
         saveAll(all);
     }
@@ -139,6 +219,13 @@ const GpsStorage = (function () {
                 if (typeof coords.lat !== 'number' || typeof coords.lng !== 'number') {
                     return { success: false, error: `Invalid coordinates for sensor ${sensorId}` };
                 }
+                if (coords.height !== undefined && coords.height !== null && typeof coords.height !== 'number') {
+                    return { success: false, error: `Invalid mount height for sensor ${sensorId}` };
+                }
+                if ((coords.distanceOffset !== undefined && typeof coords.distanceOffset !== 'number') ||
+                    (coords.distanceScale !== undefined && typeof coords.distanceScale !== 'number')) {
+                    return { success: false, error: `Invalid distance calibration for sensor ${sensorId}` };
+                }
             }
 
             if (merge) {
@@ -160,6 +247,11 @@ const GpsStorage = (function () {
         get,
         set,
         setMultiple,
+        getHeight,
+        getCalibration,
+        getAllCalibrations,
+        setCalibrations,
+        clearCalibrations,
         remove,
         clearAll,
         has,
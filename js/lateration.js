@@ -14,20 +14,39 @@
  *   (x - x_i)² + (y - y_i)² = d_i²  for all i
  * 
  * IMPLEMENTATION:
- * - ≥3 sensors: Weighted least squares trilateration (HIGH quality - green)
- * - 2 sensors: Weighted midpoint along connecting line (MEDIUM quality - yellow)
- * - 1 sensor: Position placed at sensor location (LOW quality - red)
+ * - ≥3 sensors: Nonlinear least squares (Levenberg–Marquardt) on the true
+ *               range residuals, seeded by the linearized solution
+ * - 2 sensors: The two circle intersections are mirror candidates on either
+ *              side of the baseline. A prior (Kalman prediction, previous
+ *              position) or a zone picks one; otherwise the fix is ambiguous
+ *              and stays at the baseline point, both candidates shown as ghosts
+ *              (see TWO-SENSOR AMBIGUITY)
+ * - 1 sensor: Range-only result, a ring (annulus) around the sensor instead
+ *             of a point; only the particle filter turns it into a position
  * - 0 sensors: Position cannot be determined
+ * - ≥4 sensors in robust mode: RANSAC first drops ranges that disagree
+ *   with the consensus of the others (reflections, blocked readings)
+ *
+ * ESTIMATORS:
+ * The branches above form the default 'lateration' estimator. Other
+ * estimators can be registered and selected at runtime to compare
+ * algorithms on the same data (see POSITION ESTIMATORS).
  * 
- * QUALITY LEVELS (based purely on sensor count):
- * - HIGH (green):   ≥3 sensors - true lateration
- * - MEDIUM (yellow): exactly 2 sensors - estimated midpoint/weighted solution
- * - LOW (red):       1 sensor - device shown at sensor position
+ * SMOOTHING (one active at a time, in this priority):
+ * - RTS smoother:    offline forward/backward pass over a loaded file
+ * - Particle filter: works on the ranges directly, keeps multimodal hypotheses
+ * - Kalman filter:   forward constant-velocity filter on the lateration result
+ *
+ * QUALITY LEVELS (see QUALITY_CONFIG):
+ * - Geometry (default): the worse of the GDOP and residual RMS classes.
+ *   HIGH (green) needs ≥3 sensors, two sensors are at most MEDIUM (yellow),
+ *   range-only rings are always LOW (red)
+ * - Sensor count (fallback mode): ≥3 HIGH, 2 MEDIUM, 1 LOW
  */
 
 const Lateration = (function () {
 
-    // Cache for lateration results
+    // Cache for lateration results: timestamp -> Map(cache key -> result)
     const resultCache = new Map();
 
     // Kalman filter enabled state
@@ -85,19 +104,33 @@ const Lateration = (function () {
     /**
      * Main lateration function - estimates device position from sensor readings
      * 
-     * @param {array} observations - Array of { sensor_id, sensor_lat, sensor_lng, distance, rssi }
+     * @param {array} observations - Array of { sensor_id, sensor_lat, sensor_lng, sensor_height?, distance, rssi }
+     * @param {string} viewId - Map view whose estimator is used (default MAIN_VIEW)
      * @returns {object} { 
-     *   lat, lng,           // Estimated position
+     *   resultType,         // 'position', or 'range' for one sensor (device somewhere on a ring)
+     *   estimator,          // Name of the estimator that produced the result
+     *   lat, lng,           // Estimated position ('range': the sensor position, i.e. ring center)
+     *   ring,               // 'range' only: { lat, lng, radius, std } in meters, else null
      *   quality,            // Quality score (lower = better)
-     *   qualityLevel,       // 'high', 'medium', 'low'
+     *   qualityLevel,       // 'high', 'medium', 'low' (see QUALITY_CONFIG)
      *   sensorCount,        // Number of sensors used
      *   observations,       // Original observations (for debug display)
-     *   confidence          // 0-1 confidence value
+     *   confidence,         // 0-1 confidence value
+     *   gdop,               // Geometric dilution of precision (Infinity for 1 sensor)
+     *   residualRms,        // RMS of the range residuals in meters
+     *   covariance,         // 2x2 position covariance [[xx, xy], [xy, yy]] in m² (x = east, y = north)
+     *   iterations,         // Solver iterations (≥3 sensors, else 0)
+     *   converged,          // Solver convergence status (≥3 sensors, else null)
+     *   rejectedObservations, // Ranges dropped as outliers (robust mode), with residual
+     *   candidates          // 2 sensors: circle intersections [{ lat, lng, covariance }], else null
      * }
      */
-    function trilaterate(observations) {
-        // Filter valid observations (positive distance)
-        const validObs = observations.filter(o => o.distance > 0 && o.distance < 200);
+    function trilaterate(observations, viewId = MAIN_VIEW) {
+        // Filter valid observations (positive distance, within sensor range)
+        // and reduce slant ranges of mounted sensors to horizontal distances
+        let validObs = observations
+            .filter(o => o.distance > 0 && o.distance < SOLVER_CONFIG.maxRange)
+            .map(toHorizontalObservation);
 
         if (validObs.length < 1) {
             return null; // No sensors - cannot show device
@@ -108,79 +141,136 @@ const Lateration = (function () {
         const refLng = validObs.reduce((sum, o) => sum + o.sensor_lng, 0) / validObs.length;
 
         // Convert to local coordinates
-        const points = validObs.map(o => ({
+        let points = validObs.map(o => ({
             ...o,
             pos: gpsToMeters(o.sensor_lat, o.sensor_lng, refLat, refLng)
         }));
 
-        let estimatedPos;
-        let gpsResult;
-
-        if (validObs.length === 1) {
-            // ONE SENSOR: Position device at measured distance from sensor (LOW quality - red)
-            // Previously placed at sensor location which made it invisible under the blue sensor marker
-            // Now: offset by the measured distance in a deterministic direction based on device hash
-
-            const sensor = validObs[0];
-            const distanceMeters = sensor.distance;
-
-            // Use a deterministic angle based on device MAC hash (so same device always appears in same direction)
-            // This creates a consistent visual without random jumps
-            let angle = 0;
-            if (sensor.mac_hashed) {
-                // Generate angle from hash (0 to 2π)
-                let hash = 0;
-                for (let i = 0; i < sensor.mac_hashed.length; i++) {
-                    hash = ((hash << 5) - hash) + sensor.mac_hashed.charCodeAt(i);
-                    hash = hash & hash; // Convert to 32bit integer
-                }
-                angle = (Math.abs(hash) % 360) * Math.PI / 180;
+        // Robust mode: drop ranges that disagree with the consensus of the others
+        let rejectedPoints = [];
+        if (ROBUST_CONFIG.enabled && points.length >= ROBUST_CONFIG.minObservations) {
+            const consensus = findConsensusSet(points);
+            if (consensus.outliers.length > 0) {
+                rejectedPoints = consensus.outliers.map(i => points[i]);
+                validObs = consensus.inliers.map(i => validObs[i]);
+                points = consensus.inliers.map(i => points[i]);
             }
+        }
 
-            // Convert distance offset to GPS coordinates
-            const earthRadius = 6371000; // meters
-            const latOffset = (distanceMeters * Math.cos(angle) / earthRadius) * (180 / Math.PI);
-            const lngOffset = (distanceMeters * Math.sin(angle) / (earthRadius * Math.cos(sensor.sensor_lat * Math.PI / 180))) * (180 / Math.PI);
+        // Position from the view's estimator (see POSITION ESTIMATORS)
+        const view = getView(viewId);
+        const estimatedPos = estimators.get(view.estimator).estimate(points, {
+            refLat: refLat,
+            refLng: refLng,
+            params: view.params.get(view.estimator)
+        });
 
-            gpsResult = {
-                lat: sensor.sensor_lat + latOffset,
-                lng: sensor.sensor_lng + lngOffset
-            };
-            estimatedPos = { x: distanceMeters * Math.sin(angle), y: distanceMeters * Math.cos(angle), variance: distanceMeters };
-        } else if (validObs.length === 2) {
-            // TWO SENSORS: Weighted midpoint (MEDIUM quality - yellow)
-            estimatedPos = estimateTwoSensorPosition(points);
-            gpsResult = metersToGps(estimatedPos.x, estimatedPos.y, refLat, refLng);
-        } else {
-            // THREE OR MORE SENSORS: True lateration (HIGH quality - green)
-            estimatedPos = estimateMultiSensorPosition(points);
-            gpsResult = metersToGps(estimatedPos.x, estimatedPos.y, refLat, refLng);
+        if (!estimatedPos || !isFinite(estimatedPos.x) || !isFinite(estimatedPos.y)) {
+            return null;
         }
 
-        // Quality level is purely based on sensor count
-        const qualityLevel = getQualityLevel(validObs.length);
+        const gpsResult = metersToGps(estimatedPos.x, estimatedPos.y, refLat, refLng);
+        const ring = estimatedPos.ring || null;
+
         // Calculate residual for variance (informational only)
         const residual = validObs.length > 1 ? calculateResidual(estimatedPos, points) : validObs[0].distance;
-        // Confidence based on sensor count
-        const confidence = getConfidenceFromSensorCount(validObs.length);
+
+        // Quality from sensor geometry and fit residuals (or sensor count, see QUALITY_CONFIG)
+        const geometryPos = estimatedPos.intersection || estimatedPos;
+        const gdop = calculateGdop(geometryPos, points);
+        const residualRms = validObs.length > 1 ? calculateResidualRms(geometryPos, points) : 0;
+        const qualityLevel = getQualityLevel(validObs.length, gdop, residualRms);
+        const confidence = getConfidence(validObs.length, gdop, residualRms);
+
+        // Report rejected ranges with their residual against the final estimate
+        const rejectedObservations = rejectedPoints.map(({ pos, ...obs }) => ({
+            ...obs,
+            residual: distance(estimatedPos, pos) - obs.distance
+        }));
 
         return {
+            resultType: ring ? 'range' : 'position',
+            estimator: view.estimator,
             lat: gpsResult.lat,
             lng: gpsResult.lng,
+            ring: ring,
             qualityLevel: qualityLevel,
             sensorCount: validObs.length,
             observations: validObs,
             confidence: confidence,
-            variance: estimatedPos.variance || residual
+            gdop: gdop,
+            residualRms: residualRms,
+            variance: estimatedPos.variance || residual,
+            covariance: estimatedPos.covariance || isotropicCovariance(Math.max(estimatedPos.variance || residual, SOLVER_CONFIG.rangeStd)),
+            iterations: estimatedPos.iterations || 0,
+            converged: typeof estimatedPos.converged === 'boolean' ? estimatedPos.converged : null,
+            rejectedObservations: rejectedObservations,
+            candidates: estimatedPos.candidates ? estimatedPos.candidates.map(c => ({
+                ...metersToGps(c.x, c.y, refLat, refLng),
+                covariance: c.covariance
+            })) : null
+        };
+    }
+
+    /**
+     * Sample points of a range-only ring (annulus)
+     * @param {object} ring - { lat, lng, radius, std }
+     * @param {number} sigmas - Half width of the annulus in range standard deviations
+     * @param {number} angularSteps - Samples around the ring
+     * @param {number} radialSteps - Samples across the width (1 = center line only)
+     * @returns {array} Array of { lat, lng }
+     */
+    function sampleRing(ring, sigmas, angularSteps, radialSteps) {
+        const inner = Math.max(0, ring.radius - sigmas * ring.std);
+        const outer = ring.radius + sigmas * ring.std;
+        const samples = [];
+
+        for (let j = 0; j < radialSteps; j++) {
+            const r = radialSteps === 1 ? ring.radius : inner + (outer - inner) * (j + 0.5) / radialSteps;
+            for (let i = 0; i < angularSteps; i++) {
+                const angle = 2 * Math.PI * i / angularSteps;
+                samples.push(metersToGps(r * Math.sin(angle), r * Math.cos(angle), ring.lat, ring.lng));
+            }
+        }
+
+        return samples;
+    }
+
+    /**
+     * Reduce a slant range to the horizontal distance
+     *
+     * A sensor mounted at height h_s measures the 3D distance to a device at
+     * height h_d. The horizontal distance is √(d² - (h_s - h_d)²); ranges
+     * shorter than the height difference mean the device is right below the
+     * sensor (horizontal distance 0). Sensors without a height are assumed
+     * to be at device height, so their range is used as is.
+     *
+     * @param {object} obs - Observation with distance and optional sensor_height
+     * @returns {object} Observation with horizontal distance (slant_distance keeps the original)
+     */
+    function toHorizontalObservation(obs) {
+        if (typeof obs.sensor_height !== 'number' || !isFinite(obs.sensor_height)) {
+            return obs;
+        }
+
+        const dz = obs.sensor_height - SOLVER_CONFIG.deviceHeight;
+        return {
+            ...obs,
+            slant_distance: obs.distance,
+            distance: Math.sqrt(Math.max(0, obs.distance * obs.distance - dz * dz))
         };
     }
 
     /**
      * Estimate position from exactly 2 sensors
-     * Uses weighted position along the line between sensors
+     *
+     * Two circles meet in two mirror-image points on either side of the
+     * baseline. Both are returned as candidates; x, y is the point on the
+     * baseline between them, with a covariance spanning both.
+     * Circles that do not meet (or nearly touch) give a single candidate.
      * 
      * @param {array} points - Two sensor observations with pos field
-     * @returns {object} { x, y }
+     * @returns {object} { x, y, variance, covariance, intersection, candidates }
      */
     function estimateTwoSensorPosition(points) {
         const p1 = points[0];
@@ -192,8 +282,12 @@ const Lateration = (function () {
         const sensorDist = Math.sqrt(dx * dx + dy * dy);
 
         if (sensorDist === 0) {
-            // Sensors at same location, return that point
-            return { x: p1.pos.x, y: p1.pos.y };
+            // Sensors at same location, return that point (direction unknown, like one sensor)
+            return {
+                x: p1.pos.x,
+                y: p1.pos.y,
+                covariance: isotropicCovariance(Math.sqrt(p1.distance * p1.distance / 2) + getRangeStd(p1.distance))
+            };
         }
 
         // Calculate position along the line
@@ -211,30 +305,173 @@ const Lateration = (function () {
         // Clamp to reasonable range (allow some extrapolation)
         t = Math.max(-0.5, Math.min(1.5, t));
 
+        // Along the baseline the position follows from both ranges:
+        //   a = (D² + d1² - d2²) / 2D  ->  ∂a/∂d1 = d1/D, ∂a/∂d2 = -d2/D
+        // Across it the midpoint sits between the two circle intersections,
+        // half a chord h = √(d1² - a²) away from either of them.
+        const s1 = getRangeStd(d1);
+        const s2 = getRangeStd(d2);
+        const varAlong = (d1 * d1 * s1 * s1 + d2 * d2 * s2 * s2) / (sensorDist * sensorDist);
+        const a = t * sensorDist;
+        const halfChordSq = Math.max(0, d1 * d1 - a * a);
+        const halfChord = Math.sqrt(halfChordSq);
+
+        const base = { x: p1.pos.x + t * dx, y: p1.pos.y + t * dy };
+        const left = {
+            x: base.x - halfChord * dy / sensorDist,
+            y: base.y + halfChord * dx / sensorDist
+        };
+        const right = {
+            x: base.x + halfChord * dy / sensorDist,
+            y: base.y - halfChord * dx / sensorDist
+        };
+
+        // Mirror candidates closer than minSeparation are the same position
+        const candidates = 2 * halfChord >= TWO_SENSOR_CONFIG.minSeparation
+            ? [left, right]
+            : [base];
+        candidates.forEach(c => {
+            c.covariance = rangeCovariance(c, points) ||
+                orientedCovariance(dx / sensorDist, dy / sensorDist, varAlong, halfChordSq + varAlong);
+        });
+
         return {
-            x: p1.pos.x + t * dx,
-            y: p1.pos.y + t * dy,
-            variance: Math.abs(d1 + d2 - sensorDist) // Measure of inconsistency
+            x: base.x,
+            y: base.y,
+            variance: Math.abs(d1 + d2 - sensorDist), // Measure of inconsistency
+            covariance: orientedCovariance(dx / sensorDist, dy / sensorDist, varAlong, halfChordSq + varAlong),
+            // One of the circle intersections (geometry is evaluated there, the midpoint is on the baseline)
+            intersection: left,
+            candidates: candidates
         };
     }
 
     /**
-     * Estimate position from 3+ sensors using weighted least squares
-     * 
+     * Covariance with given variances along a direction and across it
+     * @param {number} ux - Unit direction, x component
+     * @param {number} uy - Unit direction, y component
+     * @param {number} varAlong - Variance along (ux, uy) in m²
+     * @param {number} varAcross - Variance perpendicular to it in m²
+     * @returns {array} 2x2 covariance
+     */
+    function orientedCovariance(ux, uy, varAlong, varAcross) {
+        const cxy = (varAlong - varAcross) * ux * uy;
+        return [
+            [varAlong * ux * ux + varAcross * uy * uy, cxy],
+            [cxy, varAlong * uy * uy + varAcross * ux * ux]
+        ];
+    }
+
+    /**
+     * Position covariance (H'WH)⁻¹ from the range geometry at a point
+     * @param {object} pos - { x, y } position in meters
+     * @param {array} points - Sensor observations with pos field
+     * @returns {array|null} 2x2 covariance, null if the geometry is singular
+     */
+    function rangeCovariance(pos, points) {
+        let h00 = 0, h01 = 0, h11 = 0;
+        for (const point of points) {
+            const dx = pos.x - point.pos.x;
+            const dy = pos.y - point.pos.y;
+            const r = Math.sqrt(dx * dx + dy * dy);
+            if (r < 1e-6) continue;
+            const w = 1 / Math.pow(getRangeStd(point.distance), 2);
+            h00 += w * dx * dx / (r * r);
+            h01 += w * dx * dy / (r * r);
+            h11 += w * dy * dy / (r * r);
+        }
+        const det = h00 * h11 - h01 * h01;
+        if (det < 1e-9) return null;
+        return [[h11 / det, -h01 / det], [-h01 / det, h00 / det]];
+    }
+
+    /**
+     * Circular covariance for a standard deviation
+     * @param {number} std - Standard deviation in meters
+     * @returns {array} 2x2 covariance
+     */
+    function isotropicCovariance(std) {
+        return [[std * std, 0], [0, std * std]];
+    }
+
+    // Nonlinear solver parameters (Levenberg–Marquardt)
+    const SOLVER_CONFIG = {
+        // Maximum number of LM iterations
+        maxIterations: 50,
+
+        // Stop when the position step is smaller than this (meters)
+        tolerance: 1e-4,
+
+        // Initial damping factor (small = Gauss-Newton, large = gradient descent)
+        initialLambda: 1e-3,
+
+        // Range noise model: sigma_i = rangeStd + rangeStdPerMeter * d_i
+        // Far readings are less reliable, so they get a lower weight
+        rangeStd: 1.0,
+        rangeStdPerMeter: 0.1,
+
+        // Readings at or beyond this distance are discarded (meters)
+        maxRange: 200,
+
+        // Assumed device height above ground (meters), used with sensor mount heights
+        deviceHeight: 1.0
+    };
+
+    /**
+     * Estimate position from 3+ sensors
+     *
      * Math explanation:
      * We minimize: Σ w_i * (√((x-x_i)² + (y-y_i)²) - d_i)²
-     * 
-     * Linearized approach:
-     * From (x-x_i)² + (y-y_i)² = d_i², subtract first equation from others
-     * to get linear system: Ax = b
-     * 
+     * with w_i = 1 / sigma_i² (see SOLVER_CONFIG).
+     *
+     * The linearized solution is only used as the starting point; the
+     * Levenberg–Marquardt iterations then minimize the true range residuals,
+     * so the result no longer depends on which sensor comes first.
+     *
+     * @param {array} points - Sensor observations with pos field
+     * @param {number} maxIterations - Solver iteration limit (optional)
+     * @returns {object} { x, y, variance, covariance, iterations, converged }
+     */
+    function estimateMultiSensorPosition(points, maxIterations) {
+        let initial = estimateLinearPosition(points);
+        if (!isFinite(initial.x) || !isFinite(initial.y)) {
+            initial = {
+                x: points.reduce((sum, p) => sum + p.pos.x, 0) / points.length,
+                y: points.reduce((sum, p) => sum + p.pos.y, 0) / points.length
+            };
+        }
+
+        const result = solveLevenbergMarquardt(points, initial, maxIterations);
+
+        // Calculate variance from residuals
+        let sumSqResiduals = 0;
+        for (let i = 0; i < points.length; i++) {
+            const estDist = distance(result, points[i].pos);
+            sumSqResiduals += Math.pow(estDist - points[i].distance, 2);
+        }
+        result.variance = Math.sqrt(sumSqResiduals / points.length);
+
+        return result;
+    }
+
+    /**
+     * Linearized least squares estimate (starting point for the nonlinear solver)
+     *
+     * From (x-x_i)² + (y-y_i)² = d_i², subtract the reference equation from
+     * the others to get the linear system: Ax = b
+     * The shortest range is used as reference because its d² term carries
+     * the least noise into every row.
+     *
      * @param {array} points - Sensor observations with pos field
      * @returns {object} { x, y }
      */
-    function estimateMultiSensorPosition(points) {
-        const n = points.length;
+    function estimateLinearPosition(points) {
+        // Deterministic order: shortest range first, ties broken by sensor ID
+        points = points.slice().sort((a, b) =>
+            (a.distance - b.distance) || String(a.sensor_id).localeCompare(String(b.sensor_id))
+        );
 
-        // Use first point as reference
+        const n = points.length;
         const ref = points[0];
 
         // Build linear system (n-1 equations)
@@ -266,17 +503,417 @@ const Lateration = (function () {
         }
 
         // Solve weighted least squares: (A'WA)x = A'Wb
-        const result = solveWeightedLeastSquares(A, b, weights);
+        return solveWeightedLeastSquares(A, b, weights);
+    }
+
+    /**
+     * Range standard deviation for a measured distance
+     * @param {number} measuredDistance - Measured distance in meters
+     * @returns {number} Standard deviation in meters
+     */
+    function getRangeStd(measuredDistance) {
+        return SOLVER_CONFIG.rangeStd + SOLVER_CONFIG.rangeStdPerMeter * measuredDistance;
+    }
+
+    /**
+     * Build the weighted normal equations J'WJ and J'Wr at (x, y)
+     * J is the Jacobian of the range residuals r_i = |p - s_i| - d_i
+     *
+     * @param {array} points - Sensor observations with pos field
+     * @param {array} weights - Per-observation weights
+     * @param {number} x - X position in meters
+     * @param {number} y - Y position in meters
+     * @returns {object} { h00, h01, h11, g0, g1, cost }
+     */
+    function buildNormalEquations(points, weights, x, y) {
+        let h00 = 0, h01 = 0, h11 = 0, g0 = 0, g1 = 0, cost = 0;
 
-        // Calculate variance from residuals
-        let sumSqResiduals = 0;
         for (let i = 0; i < points.length; i++) {
-            const estDist = distance(result, points[i].pos);
-            sumSqResiduals += Math.pow(estDist - points[i].distance, 2);
+            const dx = x - points[i].pos.x;
+            const dy = y - points[i].pos.y;
+            const range = Math.sqrt(dx * dx + dy * dy);
+            const residual = range - points[i].distance;
+            const w = weights[i];
+
+            cost += w * residual * residual;
+
+            // Gradient of the range is undefined exactly at the sensor
+            if (range < 1e-9) continue;
+
+            const jx = dx / range;
+            const jy = dy / range;
+
+            h00 += w * jx * jx;
+            h01 += w * jx * jy;
+            h11 += w * jy * jy;
+            g0 += w * jx * residual;
+            g1 += w * jy * residual;
         }
-        result.variance = Math.sqrt(sumSqResiduals / points.length);
 
-        return result;
+        return { h00, h01, h11, g0, g1, cost };
+    }
+
+    /**
+     * Weighted sum of squared range residuals at (x, y)
+     * @param {array} points - Sensor observations with pos field
+     * @param {array} weights - Per-observation weights
+     * @param {number} x - X position in meters
+     * @param {number} y - Y position in meters
+     * @returns {number} Cost
+     */
+    function rangeCost(points, weights, x, y) {
+        let cost = 0;
+        for (let i = 0; i < points.length; i++) {
+            const residual = distance({ x, y }, points[i].pos) - points[i].distance;
+            cost += weights[i] * residual * residual;
+        }
+        return cost;
+    }
+
+    /**
+     * Levenberg–Marquardt minimization of the weighted range residuals
+     *
+     * Each iteration solves (J'WJ + λ·diag(J'WJ)) δ = -J'Wr.
+     * A step that lowers the cost is accepted and λ shrinks (towards
+     * Gauss-Newton); a rejected step increases λ (towards gradient descent).
+     *
+     * The covariance is (J'WJ)⁻¹ at the solution, scaled by the reduced
+     * chi-square when the residuals are larger than the noise model expects.
+     *
+     * @param {array} points - Sensor observations with pos field
+     * @param {object} initial - { x, y } starting point
+     * @param {number} maxIterations - Iteration limit (default SOLVER_CONFIG.maxIterations)
+     * @returns {object} { x, y, covariance, iterations, converged }
+     */
+    function solveLevenbergMarquardt(points, initial, maxIterations = SOLVER_CONFIG.maxIterations) {
+        const weights = points.map(p => 1 / Math.pow(getRangeStd(p.distance), 2));
+
+        let x = initial.x;
+        let y = initial.y;
+        let lambda = SOLVER_CONFIG.initialLambda;
+        let iterations = 0;
+        let converged = false;
+
+        let normal = buildNormalEquations(points, weights, x, y);
+
+        while (iterations < maxIterations) {
+            iterations++;
+
+            // Damped normal equations (Marquardt scaling, floored for degenerate axes)
+            const a00 = normal.h00 + lambda * Math.max(normal.h00, 1e-9);
+            const a11 = normal.h11 + lambda * Math.max(normal.h11, 1e-9);
+            const a01 = normal.h01;
+            const det = a00 * a11 - a01 * a01;
+
+            if (Math.abs(det) < 1e-12) {
+                break;
+            }
+
+            const stepX = -(a11 * normal.g0 - a01 * normal.g1) / det;
+            const stepY = -(a00 * normal.g1 - a01 * normal.g0) / det;
+
+            const newCost = rangeCost(points, weights, x + stepX, y + stepY);
+
+            if (newCost < normal.cost) {
+                // Accept step, move towards Gauss-Newton
+                x += stepX;
+                y += stepY;
+                lambda = Math.max(lambda / 10, 1e-12);
+                normal = buildNormalEquations(points, weights, x, y);
+
+                if (Math.sqrt(stepX * stepX + stepY * stepY) < SOLVER_CONFIG.tolerance) {
+                    converged = true;
+                    break;
+                }
+            } else {
+                // Reject step, move towards gradient descent
+                lambda *= 10;
+
+                // No downhill step even with heavy damping - we are at the minimum
+                if (lambda > 1e10) {
+                    converged = true;
+                    break;
+                }
+            }
+        }
+
+        // Covariance: (J'WJ)^-1, scaled by reduced chi-square if the fit is worse than expected
+        let covariance = null;
+        const det = normal.h00 * normal.h11 - normal.h01 * normal.h01;
+        if (Math.abs(det) > 1e-12) {
+            const dof = points.length - 2;
+            const scale = dof > 0 ? Math.max(1, normal.cost / dof) : 1;
+            covariance = [
+                [scale * normal.h11 / det, -scale * normal.h01 / det],
+                [-scale * normal.h01 / det, scale * normal.h00 / det]
+            ];
+        }
+
+        return { x, y, covariance, iterations, converged };
+    }
+
+    // ============================================================
+    // POSITION ESTIMATORS
+    // ============================================================
+    //
+    // trilaterate() does the common work (range filtering, local
+    // coordinates, outlier rejection, quality) and asks the active
+    // estimator for the position. An estimator is
+    //
+    //   {
+    //     name, label,
+    //     params: { key: { label, type: 'number', default, min, max, step } },
+    //     estimate(points, context) -> { x, y, variance?, covariance?,
+    //                                    iterations?, converged?, ring?,
+    //                                    intersection?, candidates? } | null
+    //   }
+    //
+    // points are the filtered observations with their local position
+    // (pos, meters around context.refLat/refLng); context.params holds
+    // the current parameter values. Results are cached per estimator and
+    // parameter set (see getCacheKey).
+    //
+    // Estimator selection and filter states belong to a map view, so a
+    // split view can compare settings on the same data. MAIN_VIEW is
+    // used wherever no view is given.
+    // ============================================================
+
+    const estimators = new Map();
+    const MAIN_VIEW = 'main';
+    const views = new Map();
+
+    /**
+     * Default parameter values of an estimator
+     * @param {object} estimator - Registered estimator
+     * @returns {object} { key: default }
+     */
+    function getDefaultParams(estimator) {
+        const values = {};
+        Object.keys(estimator.params).forEach(key => {
+            values[key] = estimator.params[key].default;
+        });
+        return values;
+    }
+
+    /**
+     * Get (or create) the state of a map view
+     * @param {string} viewId - View identifier
+     * @returns {object} { id, estimator, params, kalmanStates, particleStates,
+     *                     lastPositions, smoothedPositions, smoothedReady }
+     */
+    function getView(viewId = MAIN_VIEW) {
+        if (!views.has(viewId)) {
+            const params = new Map();
+            estimators.forEach((estimator, name) => params.set(name, getDefaultParams(estimator)));
+
+            views.set(viewId, {
+                id: viewId,
+                estimator: 'lateration',
+                params: params,
+                // Kalman filter state per device
+                kalmanStates: new Map(),
+                // Particle filter state per device
+                particleStates: new Map(),
+                // Last final position per device: mac_hashed -> { lat, lng, time }
+                lastPositions: new Map(),
+                // Smoothed positions: timestamp -> Map(mac_hashed -> { lat, lng, covariance })
+                smoothedPositions: new Map(),
+                smoothedReady: false
+            });
+        }
+        return views.get(viewId);
+    }
+
+    /**
+     * Range-only ring around a single sensor
+     * The bearing is unknown, so the device is reported as a ring around
+     * the sensor instead of a point. The position is the ring center.
+     * @param {object} point - Observation with pos field
+     * @returns {object} Estimate with ring
+     */
+    function estimateSingleSensorRing(point) {
+        const distanceMeters = point.distance;
+        const std = getRangeStd(distanceMeters);
+
+        return {
+            x: point.pos.x,
+            y: point.pos.y,
+            variance: distanceMeters,
+            // Spread of a point anywhere on the ring: r²/2 per axis plus range noise
+            covariance: isotropicCovariance(Math.sqrt(distanceMeters * distanceMeters / 2 + std * std)),
+            ring: {
+                lat: point.sensor_lat,
+                lng: point.sensor_lng,
+                radius: distanceMeters,
+                std: std
+            }
+        };
+    }
+
+    // Default estimator: ring / circle intersection / Levenberg–Marquardt
+    registerEstimator({
+        name: 'lateration',
+        label: 'Lateration (LM)',
+        params: {
+            maxIterations: { label: 'Max iterations', type: 'number', default: SOLVER_CONFIG.maxIterations, min: 1, max: 500, step: 1 }
+        },
+        estimate(points, context) {
+            if (points.length === 1) {
+                // ONE SENSOR: Range-only result (ring around the sensor)
+                return estimateSingleSensorRing(points[0]);
+            }
+            if (points.length === 2) {
+                // TWO SENSORS: Circle intersections (mirror candidates)
+                // Both mirror candidates are returned, computeAllPositions picks one
+                return estimateTwoSensorPosition(points);
+            }
+            // THREE OR MORE SENSORS: True lateration (nonlinear least squares)
+            return estimateMultiSensorPosition(points, context.params.maxIterations);
+        }
+    });
+
+    // Closed-form linearized least squares without the nonlinear refinement
+    registerEstimator({
+        name: 'linear',
+        label: 'Linear least squares',
+        params: {},
+        estimate(points, context) {
+            // Too few ranges for the linear system: ring or circle intersections
+            if (points.length < 3) {
+                return estimators.get('lateration').estimate(points, context);
+            }
+
+            const result = estimateLinearPosition(points);
+            const variance = Math.sqrt(points.reduce((sum, p) =>
+                sum + Math.pow(distance(result, p.pos) - p.distance, 2), 0) / points.length);
+
+            return { x: result.x, y: result.y, variance: variance };
+        }
+    });
+
+    // Sensor positions weighted by 1 / distance^exponent
+    registerEstimator({
+        name: 'weightedCentroid',
+        label: 'Weighted centroid',
+        params: {
+            exponent: { label: 'Distance exponent', type: 'number', default: 2, min: 0, max: 5, step: 0.5 }
+        },
+        estimate(points, context) {
+            let sumW = 0, x = 0, y = 0;
+            points.forEach(p => {
+                const w = 1 / Math.pow(Math.max(p.distance, 0.1), context.params.exponent);
+                sumW += w;
+                x += w * p.pos.x;
+                y += w * p.pos.y;
+            });
+            x /= sumW;
+            y /= sumW;
+
+            // Spread: weighted mean range, the device is about that far from the sensors
+            const spread = points.reduce((sum, p) =>
+                sum + p.distance / Math.pow(Math.max(p.distance, 0.1), context.params.exponent), 0) / sumW;
+
+            return { x: x, y: y, variance: spread, covariance: isotropicCovariance(Math.max(spread, SOLVER_CONFIG.rangeStd)) };
+        }
+    });
+
+    /**
+     * Register a position estimator
+     * Replaces an existing estimator with the same name.
+     * @param {object} estimator - { name, label, params, estimate(points, context) }
+     */
+    function registerEstimator(estimator) {
+        if (!estimator || typeof estimator.name !== 'string' || typeof estimator.estimate !== 'function') {
+            throw new Error('Estimator needs a name and an estimate(points, context) function');
+        }
+
+        const registered = { label: estimator.name, ...estimator, params: estimator.params || {} };
+        estimators.set(estimator.name, registered);
+        views.forEach(view => view.params.set(estimator.name, getDefaultParams(registered)));
+    }
+
+    /**
+     * List registered estimators
+     * @returns {array} [{ name, label, params }] with params being the schema
+     */
+    function getEstimators() {
+        return Array.from(estimators.values()).map(e => ({
+            name: e.name,
+            label: e.label,
+            params: e.params
+        }));
+    }
+
+    /**
+     * Select the active estimator of a view
+     * Filter states were built from the old estimator's results and are reset.
+     * @param {string} name - Registered estimator name
+     * @param {string} viewId - Map view (default MAIN_VIEW)
+     * @returns {boolean} true if the estimator exists
+     */
+    function setEstimator(name, viewId = MAIN_VIEW) {
+        if (!estimators.has(name)) {
+            console.warn(`[Lateration] Unknown estimator: ${name}`);
+            return false;
+        }
+        const view = getView(viewId);
+        view.estimator = name;
+        resetFilterStates(view);
+        console.log(`[Lateration] Estimator of view '${viewId}' set to ${name}`);
+        return true;
+    }
+
+    /**
+     * Get the active estimator name of a view
+     * @param {string} viewId - Map view (default MAIN_VIEW)
+     * @returns {string}
+     */
+    function getEstimator(viewId = MAIN_VIEW) {
+        return getView(viewId).estimator;
+    }
+
+    /**
+     * Update estimator parameters
+     * Values are checked against the schema: unknown keys are ignored,
+     * numbers are clamped to [min, max].
+     * @param {string} name - Estimator name
+     * @param {object} values - { key: value }
+     * @param {string} viewId - Map view (default MAIN_VIEW)
+     * @returns {object|null} Current parameter values, or null for unknown estimator
+     */
+    function setEstimatorParams(name, values, viewId = MAIN_VIEW) {
+        const estimator = estimators.get(name);
+        if (!estimator) return null;
+
+        const view = getView(viewId);
+        const current = view.params.get(name);
+        Object.keys(values || {}).forEach(key => {
+            const spec = estimator.params[key];
+            if (!spec) return;
+
+            let value = Number(values[key]);
+            if (!isFinite(value)) return;
+            if (typeof spec.min === 'number') value = Math.max(spec.min, value);
+            if (typeof spec.max === 'number') value = Math.min(spec.max, value);
+            current[key] = value;
+        });
+
+        if (name === view.estimator) {
+            resetFilterStates(view);
+        }
+        return { ...current };
+    }
+
+    /**
+     * Get current estimator parameter values
+     * @param {string} name - Estimator name (default: the view's active estimator)
+     * @param {string} viewId - Map view (default MAIN_VIEW)
+     * @returns {object|null} { key: value }
+     */
+    function getEstimatorParams(name, viewId = MAIN_VIEW) {
+        const view = getView(viewId);
+        const values = view.params.get(name || view.estimator);
+        return values ? { ...values } : null;
     }
 
     /**
@@ -322,95 +959,435 @@ const Lateration = (function () {
         };
     }
 
+    // Robust mode parameters (RANSAC outlier rejection)
+    const ROBUST_CONFIG = {
+        // Enable/disable outlier rejection (off by default, existing fixes stay unchanged)
+        enabled: false,
+
+        // Only run with at least this many ranges (3 are needed for a fix, +1 to vote)
+        minObservations: 4,
+
+        // A range is an outlier if |estimated distance - measured distance| exceeds this
+        // (meters, settings panel: Lateration > Outlier threshold)
+        residualThreshold: 5.0,
+
+        // Maximum number of 3-sensor subsets to try
+        maxSubsets: 100
+    };
+
     /**
-     * Calculate residual (average error) for estimated position
-     * Used for variance calculation only, not for quality level
-     * 
-     * @param {object} estimatedPos - { x, y } estimated position
-     * @param {array} points - Sensor observations with pos field
-     * @returns {number} Average residual in meters
+     * Enumerate all 3-element index combinations of 0..n-1
+     * If there are more than maxSubsets, an evenly spaced selection is
+     * returned so the result stays deterministic.
+     *
+     * @param {number} n - Number of observations
+     * @param {number} maxSubsets - Upper bound on returned subsets
+     * @returns {array} Array of [i, j, k] index triples
      */
-    function calculateResidual(estimatedPos, points) {
-        let totalError = 0;
+    function getMinimalSubsets(n, maxSubsets) {
+        const subsets = [];
+        for (let i = 0; i < n - 2; i++) {
+            for (let j = i + 1; j < n - 1; j++) {
+                for (let k = j + 1; k < n; k++) {
+                    subsets.push([i, j, k]);
+                }
+            }
+        }
 
-        for (const point of points) {
-            const estDist = distance(estimatedPos, point.pos);
-            totalError += Math.abs(estDist - point.distance);
+        if (subsets.length <= maxSubsets) {
+            return subsets;
         }
 
-        return totalError / points.length;
+        const step = subsets.length / maxSubsets;
+        const selected = [];
+        for (let s = 0; s < maxSubsets; s++) {
+            selected.push(subsets[Math.floor(s * step)]);
+        }
+        return selected;
     }
 
     /**
-     * Determine quality level based purely on sensor count
-     * @param {number} sensorCount - Number of sensors used
-     * @returns {string} 'high', 'medium', or 'low'
+     * RANSAC consensus search over minimal (3-sensor) subsets
+     *
+     * Every subset is solved on its own; the observations whose residual
+     * against that solution stays within ROBUST_CONFIG.residualThreshold vote
+     * for it. The subset with the most votes wins (ties: lowest squared
+     * residual sum). Without a consensus of at least 3, nothing is rejected.
+     *
+     * @param {array} points - Sensor observations with pos field
+     * @returns {object} { inliers: [indices], outliers: [indices] }
      */
-    function getQualityLevel(sensorCount) {
-        if (sensorCount >= 3) {
-            // True lateration with 3+ sensors
-            return 'high';
-        } else if (sensorCount === 2) {
-            // Estimated midpoint/weighted solution
-            return 'medium';
-        } else {
-            // 1 sensor - device shown at sensor position
-            return 'low';
+    function findConsensusSet(points) {
+        const all = points.map((p, i) => i);
+        let best = null;
+
+        getMinimalSubsets(points.length, ROBUST_CONFIG.maxSubsets).forEach(subset => {
+            const subPoints = subset.map(i => points[i]);
+            const estimate = estimateMultiSensorPosition(subPoints);
+            if (!isFinite(estimate.x) || !isFinite(estimate.y)) return;
+
+            const inliers = [];
+            let sumSq = 0;
+            points.forEach((p, i) => {
+                const residual = distance(estimate, p.pos) - p.distance;
+                if (Math.abs(residual) <= ROBUST_CONFIG.residualThreshold) {
+                    inliers.push(i);
+                    sumSq += residual * residual;
+                }
+            });
+
+            if (!best || inliers.length > best.inliers.length ||
+                (inliers.length === best.inliers.length && sumSq < best.sumSq)) {
+                best = { inliers, sumSq };
+            }
+        });
+
+        if (!best || best.inliers.length < 3) {
+            return { inliers: all, outliers: [] };
         }
+
+        return {
+            inliers: best.inliers,
+            outliers: all.filter(i => !best.inliers.includes(i))
+        };
     }
 
     /**
-     * Get confidence value based on sensor count
-     * @param {number} sensorCount - Number of sensors
-     * @returns {number} Confidence between 0 and 1
+     * Enable or disable robust outlier rejection
+     * @param {boolean} enabled - true to enable, false to disable
      */
-    function getConfidenceFromSensorCount(sensorCount) {
-        if (sensorCount >= 3) {
-            return 1.0;  // High confidence with true lateration
-        } else if (sensorCount === 2) {
-            return 0.5;  // Medium confidence with 2 sensors
-        } else {
-            return 0.2;  // Low confidence with single sensor
-        }
+    function setRobustEnabled(enabled) {
+        ROBUST_CONFIG.enabled = enabled;
+        console.log(`[Lateration] Outlier rejection ${enabled ? 'enabled' : 'disabled'}`);
+        // Cached results were computed with the previous setting
+        clearCache();
     }
 
     /**
-     * Get cache key for a set of observations
-     * @param {string} timestamp - Timestamp string
-     * @param {string} macHashed - Device MAC hash
-     * @returns {string} Cache key
+     * Check if robust outlier rejection is enabled
+     * @returns {boolean}
      */
-    function getCacheKey(timestamp, macHashed) {
-        return `${timestamp}:${macHashed}`;
+    function isRobustEnabled() {
+        return ROBUST_CONFIG.enabled;
     }
 
     /**
-     * Get cached result or compute new one
-     * @param {string} timestamp - Timestamp
-     * @param {string} macHashed - Device MAC hash
-     * @param {array} observations - Sensor observations
-     * @returns {object|null} Lateration result
+     * Set the residual above which a range counts as an outlier
+     * @param {number} meters - Threshold in meters
      */
-    function getCachedOrCompute(timestamp, macHashed, observations) {
-        const key = getCacheKey(timestamp, macHashed);
-
-        if (resultCache.has(key)) {
-            return resultCache.get(key);
+    function setOutlierThreshold(meters) {
+        if (meters > 0) {
+            ROBUST_CONFIG.residualThreshold = meters;
+            clearCache();
+            console.log(`[Lateration] Outlier threshold set to ${meters}m`);
         }
-
-        const result = trilaterate(observations);
-        resultCache.set(key, result);
-
-        return result;
     }
 
     /**
-     * Clear the result cache
+     * Calculate residual (average error) for estimated position
+     * Used for variance calculation only, not for quality level
+     * 
+     * @param {object} estimatedPos - { x, y } estimated position
+     * @param {array} points - Sensor observations with pos field
+     * @returns {number} Average residual in meters
+     */
+    function calculateResidual(estimatedPos, points) {
+        let totalError = 0;
+
+        for (const point of points) {
+            const estDist = distance(estimatedPos, point.pos);
+            totalError += Math.abs(estDist - point.distance);
+        }
+
+        return totalError / points.length;
+    }
+
+    // Quality classification
+    const QUALITY_CONFIG = {
+        // 'geometry': GDOP and residual RMS, 'sensorCount': ≥3 / 2 / 1 sensors
+        mode: 'geometry',
+
+        // GDOP thresholds (position error ≈ GDOP · range error)
+        highMaxGdop: 2.5,
+        mediumMaxGdop: 6,
+
+        // Residual RMS thresholds in meters (ranges that do not agree)
+        highMaxResidual: 3,
+        mediumMaxResidual: 8
+    };
+
+    /**
+     * Root mean square of the range residuals at a position
+     * @param {object} estimatedPos - { x, y } estimated position
+     * @param {array} points - Sensor observations with pos field
+     * @returns {number} RMS residual in meters
+     */
+    function calculateResidualRms(estimatedPos, points) {
+        let sumSq = 0;
+        for (const point of points) {
+            sumSq += Math.pow(distance(estimatedPos, point.pos) - point.distance, 2);
+        }
+        return Math.sqrt(sumSq / points.length);
+    }
+
+    /**
+     * Geometric dilution of precision for range measurements
+     *
+     * Rows of H are the unit vectors from each sensor to the position;
+     * GDOP = √trace((H'H)⁻¹). Sensors in a line (or all on one side at a
+     * similar bearing) make H'H nearly singular and the GDOP large.
+     *
+     * @param {object} estimatedPos - { x, y } estimated position
+     * @param {array} points - Sensor observations with pos field
+     * @returns {number} GDOP (Infinity if the geometry does not fix a position)
+     */
+    function calculateGdop(estimatedPos, points) {
+        let h00 = 0, h01 = 0, h11 = 0;
+
+        for (const point of points) {
+            const dx = estimatedPos.x - point.pos.x;
+            const dy = estimatedPos.y - point.pos.y;
+            const r = Math.sqrt(dx * dx + dy * dy);
+            if (r < 1e-6) continue;
+            h00 += (dx / r) * (dx / r);
+            h01 += (dx / r) * (dy / r);
+            h11 += (dy / r) * (dy / r);
+        }
+
+        const det = h00 * h11 - h01 * h01;
+        if (det < 1e-9) return Infinity;
+        return Math.sqrt((h00 + h11) / det);
+    }
+
+    /**
+     * Expected precision at a position for a sensor layout (planning)
+     *
+     * Uses the range noise model of the solver: the predicted position
+     * covariance is (H'WH)⁻¹ with H the unit vectors from the sensors and
+     * W = 1/σ² at the true distances. Only sensors within maxRange count.
+     *
+     * @param {object} pos - { x, y } candidate position in meters
+     * @param {array} sensors - Sensor positions [{ x, y }] in the same frame
+     * @returns {object} { sensorCount, gdop, precision } precision = √trace in meters
+     */
+    function getExpectedPrecision(pos, sensors) {
+        const inRange = [];
+        let h00 = 0, h01 = 0, h11 = 0;
+
+        for (const sensor of sensors) {
+            const dx = pos.x - sensor.x;
+            const dy = pos.y - sensor.y;
+            const r = Math.sqrt(dx * dx + dy * dy);
+            if (r >= SOLVER_CONFIG.maxRange || r < 1e-6) continue;
+
+            const w = 1 / Math.pow(getRangeStd(r), 2);
+            h00 += w * (dx / r) * (dx / r);
+            h01 += w * (dx / r) * (dy / r);
+            h11 += w * (dy / r) * (dy / r);
+            inRange.push({ pos: sensor });
+        }
+
+        const det = h00 * h11 - h01 * h01;
+        return {
+            sensorCount: inRange.length,
+            gdop: calculateGdop(pos, inRange),
+            precision: det > 1e-12 ? Math.sqrt((h00 + h11) / det) : Infinity
+        };
+    }
+
+    /**
+     * Set the assumed device height above ground
+     * @param {number} meters - Height in meters
+     */
+    function setDeviceHeight(meters) {
+        if (isFinite(meters) && meters >= 0) {
+            SOLVER_CONFIG.deviceHeight = meters;
+            clearCache();
+            console.log(`[Lateration] Device height set to ${meters}m`);
+        }
+    }
+
+    /**
+     * Set the maximum usable sensor range
+     * @param {number} meters - Readings at or beyond this distance are ignored
+     */
+    function setMaxRange(meters) {
+        if (meters > 0) {
+            SOLVER_CONFIG.maxRange = meters;
+            clearCache();
+            console.log(`[Lateration] Max range set to ${meters}m`);
+        }
+    }
+
+    /**
+     * Determine quality level
+     *
+     * Geometry mode: the worse of the GDOP and residual classes. Fewer than
+     * three sensors cannot rule out the mirror solution, so two sensors are
+     * at most 'medium' and one sensor is always 'low'.
+     *
+     * @param {number} sensorCount - Number of sensors used
+     * @param {number} gdop - Geometric dilution of precision
+     * @param {number} residualRms - RMS range residual in meters
+     * @returns {string} 'high', 'medium', or 'low'
+     */
+    function getQualityLevel(sensorCount, gdop, residualRms) {
+        if (QUALITY_CONFIG.mode === 'sensorCount') {
+            return getQualityLevelFromSensorCount(sensorCount);
+        }
+
+        if (sensorCount < 2 || !isFinite(gdop) ||
+            gdop > QUALITY_CONFIG.mediumMaxGdop || residualRms > QUALITY_CONFIG.mediumMaxResidual) {
+            return 'low';
+        }
+        if (sensorCount >= 3 && gdop <= QUALITY_CONFIG.highMaxGdop && residualRms <= QUALITY_CONFIG.highMaxResidual) {
+            return 'high';
+        }
+        return 'medium';
+    }
+
+    /**
+     * Determine quality level based purely on sensor count
+     * @param {number} sensorCount - Number of sensors used
+     * @returns {string} 'high', 'medium', or 'low'
+     */
+    function getQualityLevelFromSensorCount(sensorCount) {
+        if (sensorCount >= 3) {
+            // True lateration with 3+ sensors
+            return 'high';
+        } else if (sensorCount === 2) {
+            // Mirror candidates, may be ambiguous
+            return 'medium';
+        } else {
+            // 1 sensor - range-only ring
+            return 'low';
+        }
+    }
+
+    /**
+     * Get confidence value
+     * Geometry mode scales the sensor-count confidence down by how far GDOP
+     * and residual RMS exceed the 'high' thresholds.
+     *
+     * @param {number} sensorCount - Number of sensors
+     * @param {number} gdop - Geometric dilution of precision
+     * @param {number} residualRms - RMS range residual in meters
+     * @returns {number} Confidence between 0 and 1
+     */
+    function getConfidence(sensorCount, gdop, residualRms) {
+        const countConfidence = getConfidenceFromSensorCount(sensorCount);
+        if (QUALITY_CONFIG.mode === 'sensorCount') {
+            return countConfidence;
+        }
+
+        const gdopScore = isFinite(gdop) ? Math.min(1, QUALITY_CONFIG.highMaxGdop / gdop) : 0;
+        const residualScore = Math.min(1, QUALITY_CONFIG.highMaxResidual / Math.max(residualRms, 1e-6));
+        return Math.max(0.05, countConfidence * gdopScore * residualScore);
+    }
+
+    /**
+     * Get confidence value based on sensor count
+     * @param {number} sensorCount - Number of sensors
+     * @returns {number} Confidence between 0 and 1
+     */
+    function getConfidenceFromSensorCount(sensorCount) {
+        if (sensorCount >= 3) {
+            return 1.0;  // High confidence with true lateration
+        } else if (sensorCount === 2) {
+            return 0.5;  // Medium confidence with 2 sensors
+        } else {
+            return 0.2;  // Low confidence with single sensor
+        }
+    }
+
+    /**
+     * Get cache key for a set of observations within one timestamp
+     * Includes the estimator and its parameters, so switching never
+     * returns a result computed with other settings.
+     * @param {string} macHashed - Device MAC hash
+     * @param {object} view - View state (see getView)
+     * @returns {string} Cache key
+     */
+    function getCacheKey(macHashed, view) {
+        return `${macHashed}:${view.estimator}:${JSON.stringify(view.params.get(view.estimator))}`;
+    }
+
+    /**
+     * Get cached result or compute new one
+     * @param {string} timestamp - Timestamp
+     * @param {string} macHashed - Device MAC hash
+     * @param {array} observations - Sensor observations
+     * @param {object} view - View state (default: main view)
+     * @returns {object|null} Lateration result
+     */
+    function getCachedOrCompute(timestamp, macHashed, observations, view = getView()) {
+        const key = getCacheKey(macHashed, view);
+
+        if (!resultCache.has(timestamp)) {
+            resultCache.set(timestamp, new Map());
+        }
+        const cached = resultCache.get(timestamp);
+        if (cached.has(key)) {
+            return cached.get(key);
+        }
+
+        const result = trilaterate(observations, view.id);
+        cached.set(key, result);
+
+        return result;
+    }
+
+    /**
+     * Clear the result cache
      */
     function clearCache() {
         resultCache.clear();
-        // Also clear Kalman filter states when cache is cleared
-        kalmanStates.clear();
+        // Also clear Kalman and particle filter states when cache is cleared
+        views.forEach(resetFilterStates);
+    }
+
+    /**
+     * Drop cached results of timestamps that left the data store
+     * (bounded live history). Filter states are kept.
+     * @param {array} timestamps - Dropped timestamp strings
+     */
+    function dropCachedTimestamps(timestamps) {
+        timestamps.forEach(ts => resultCache.delete(ts));
+    }
+
+    /**
+     * Drop per-device filter state not updated within KALMAN_CONFIG.maxGapSeconds
+     * Such states would be restarted on the next fix anyway. Long-running live
+     * use (hashed MACs rotate) would otherwise keep every device ever seen.
+     * @param {number} time - Current data time (ms since epoch)
+     */
+    function dropStaleDevices(time) {
+        const cutoff = time - KALMAN_CONFIG.maxGapSeconds * 1000;
+        const prune = (states, timeOf) => {
+            states.forEach((state, deviceId) => {
+                if (!(timeOf(state) >= cutoff)) states.delete(deviceId);
+            });
+        };
+
+        views.forEach(view => {
+            prune(view.kalmanStates, state => state.lastUpdate);
+            prune(view.particleStates, state => state.lastUpdate);
+            prune(view.lastPositions, last => last.time);
+        });
+    }
+
+    /**
+     * Reset the state a view derived from earlier results
+     * (filters, smoothed tracks, candidate priors)
+     * @param {object} view - View state (see getView)
+     */
+    function resetFilterStates(view) {
+        view.kalmanStates.clear();
+        view.particleStates.clear();
+        // Smoothed tracks are derived from the cached results
+        view.smoothedPositions.clear();
+        view.lastPositions.clear();
+        view.smoothedReady = false;
     }
 
     // ============================================================
@@ -424,16 +1401,20 @@ const Lateration = (function () {
     // State vector: [x, y, vx, vy] (position and velocity)
     // Measurement: [x, y] (position only)
     //
+    // Time handling: dt is the real gap between measurement timestamps
+    // (data time, not wall clock), so playback and irregular sensor
+    // cadence are filtered the same way. Process noise follows the
+    // continuous white-noise acceleration model.
+    //
     // References:
     // - https://www.wouterbulten.nl/posts/kalman-filters-explained-removing-noise-from-rssi-signals/
     // ============================================================
 
-    // Store Kalman filter state per device
-    const kalmanStates = new Map();
+    // Kalman filter state per device is kept per view (see getView)
 
     // Kalman filter parameters
     const KALMAN_CONFIG = {
-        // Process noise - how much we expect position to change between measurements
+        // Process noise - acceleration noise spectral density (m²/s³)
         // Higher = more responsive to changes, lower = smoother but slower
         processNoise: 0.5,
 
@@ -441,17 +1422,21 @@ const Lateration = (function () {
         // Higher = trust previous state more, lower = trust measurements more
         measurementNoise: 2.0,
 
-        // Time step between measurements (in arbitrary units, normalized)
-        dt: 1.0
+        // Time step (seconds) used when a measurement has no usable timestamp
+        defaultDt: 1.0,
+
+        // Gap (seconds) after which the track is restarted instead of predicted
+        maxGapSeconds: 60
     };
 
     /**
      * Create initial Kalman filter state for a device
      * @param {number} x - Initial x position
      * @param {number} y - Initial y position
+     * @param {number} time - Measurement time (ms since epoch)
      * @returns {object} Kalman state
      */
-    function createKalmanState(x, y) {
+    function createKalmanState(x, y, time) {
         return {
             // State vector [x, y, vx, vy]
             x: [x, y, 0, 0],
@@ -465,8 +1450,8 @@ const Lateration = (function () {
                 [0, 0, 0, 10]
             ],
 
-            // Last update timestamp
-            lastUpdate: Date.now()
+            // Data time of the last measurement (ms since epoch)
+            lastUpdate: time
         };
     }
 
@@ -474,13 +1459,20 @@ const Lateration = (function () {
      * Kalman filter predict step
      * Predicts the next state based on motion model
      * @param {object} state - Current Kalman state
-     * @param {number} dt - Time step
+     * @param {number} dt - Time step in seconds
      * @returns {object} Predicted state
      */
     function kalmanPredict(state, dt) {
         const { x, P } = state;
         const q = KALMAN_CONFIG.processNoise;
 
+        // Process noise Q (continuous white-noise acceleration), per axis:
+        // q * [dt³/3, dt²/2]
+        //     [dt²/2, dt   ]
+        const qPos = q * dt * dt * dt / 3;
+        const qCross = q * dt * dt / 2;
+        const qVel = q * dt;
+
         // State transition matrix F (constant velocity model)
         // [1, 0, dt, 0 ]
         // [0, 1, 0,  dt]
@@ -498,10 +1490,10 @@ const Lateration = (function () {
         // Predicted covariance: P_pred = F * P * F' + Q
         // Simplified computation for our specific F matrix
         const P_pred = [
-            [P[0][0] + 2 * dt * P[0][2] + dt * dt * P[2][2] + q, P[0][1] + dt * P[0][3] + dt * P[2][1] + dt * dt * P[2][3], P[0][2] + dt * P[2][2], P[0][3] + dt * P[2][3]],
-            [P[1][0] + dt * P[1][2] + dt * P[3][0] + dt * dt * P[3][2], P[1][1] + 2 * dt * P[1][3] + dt * dt * P[3][3] + q, P[1][2] + dt * P[3][2], P[1][3] + dt * P[3][3]],
-            [P[2][0] + dt * P[2][2], P[2][1] + dt * P[2][3], P[2][2] + q, P[2][3]],
-            [P[3][0] + dt * P[3][2], P[3][1] + dt * P[3][3], P[3][2], P[3][3] + q]
+            [P[0][0] + 2 * dt * P[0][2] + dt * dt * P[2][2] + qPos, P[0][1] + dt * P[0][3] + dt * P[2][1] + dt * dt * P[2][3], P[0][2] + dt * P[2][2] + qCross, P[0][3] + dt * P[2][3]],
+            [P[1][0] + dt * P[1][2] + dt * P[3][0] + dt * dt * P[3][2], P[1][1] + 2 * dt * P[1][3] + dt * dt * P[3][3] + qPos, P[1][2] + dt * P[3][2], P[1][3] + dt * P[3][3] + qCross],
+            [P[2][0] + dt * P[2][2] + qCross, P[2][1] + dt * P[2][3], P[2][2] + qVel, P[2][3]],
+            [P[3][0] + dt * P[3][2], P[3][1] + dt * P[3][3] + qCross, P[3][2], P[3][3] + qVel]
         ];
 
         return { x: x_pred, P: P_pred };
@@ -578,9 +1570,13 @@ const Lateration = (function () {
      * @param {number} measuredLat - Measured latitude
      * @param {number} measuredLng - Measured longitude
      * @param {number} quality - Quality score (lower = better = trust more)
-     * @returns {object} { lat, lng } smoothed position
+     * @param {number} time - Measurement time (ms since epoch, data time)
+     * @param {object} view - View state (default: main view)
+     * @returns {object} { lat, lng, covariance } smoothed position and its 2x2 covariance
      */
-    function applyKalmanFilter(deviceId, measuredLat, measuredLng, quality) {
+    function applyKalmanFilter(deviceId, measuredLat, measuredLng, quality, time, view = getView()) {
+        const kalmanStates = view.kalmanStates;
+
         // Convert GPS to local meters for filtering
         const refLat = measuredLat;
         const refLng = measuredLng;
@@ -589,21 +1585,36 @@ const Lateration = (function () {
         // Get or create Kalman state for this device
         let state = kalmanStates.get(deviceId);
 
+        // Time delta in seconds from the measurement timestamps
+        let dt = KALMAN_CONFIG.defaultDt;
+        if (state && isFinite(time) && isFinite(state.lastUpdate)) {
+            dt = (time - state.lastUpdate) / 1000;
+        }
+
+        // Restart the track when time runs backwards (seek, loop) or after a long gap,
+        // the old state says nothing useful about the device anymore
+        if (state && (dt < 0 || dt > KALMAN_CONFIG.maxGapSeconds)) {
+            state = null;
+        }
+
+        if (state && dt === 0) {
+            // Same data time - measurement already incorporated
+            const current = metersToGps(state.x[0], state.x[1], state.refLat, state.refLng);
+            return { lat: current.lat, lng: current.lng, covariance: positionCovariance(state.P) };
+        }
+
         if (!state) {
             // First measurement - initialize
-            state = createKalmanState(measured.x, measured.y);
+            state = createKalmanState(measured.x, measured.y, time);
             state.refLat = refLat;
             state.refLng = refLng;
             kalmanStates.set(deviceId, state);
-            return { lat: measuredLat, lng: measuredLng };
+            return { lat: measuredLat, lng: measuredLng, covariance: positionCovariance(state.P) };
         }
 
         // Convert measurement to same coordinate system as state
         const measInState = gpsToMeters(measuredLat, measuredLng, state.refLat, state.refLng);
 
-        // Calculate time delta (normalized)
-        const dt = KALMAN_CONFIG.dt;
-
         // Measurement noise based on quality (higher quality = lower noise)
         const measurementNoise = KALMAN_CONFIG.measurementNoise * (1 + quality / 10);
 
@@ -616,13 +1627,741 @@ const Lateration = (function () {
         // Save updated state
         state.x = updated.x;
         state.P = updated.P;
-        state.lastUpdate = Date.now();
+        state.lastUpdate = time;
         kalmanStates.set(deviceId, state);
 
         // Convert back to GPS
         const smoothed = metersToGps(updated.x[0], updated.x[1], state.refLat, state.refLng);
 
-        return { lat: smoothed.lat, lng: smoothed.lng };
+        return { lat: smoothed.lat, lng: smoothed.lng, covariance: positionCovariance(updated.P) };
+    }
+
+    /**
+     * Position block of a 4x4 state covariance
+     * @param {array} P - State covariance for [x, y, vx, vy]
+     * @returns {array} 2x2 position covariance
+     */
+    function positionCovariance(P) {
+        return [[P[0][0], P[0][1]], [P[1][0], P[1][1]]];
+    }
+
+    // ============================================================
+    // TWO-SENSOR AMBIGUITY
+    // ============================================================
+    //
+    // With two sensors the device is at one of two mirror-image circle
+    // intersections. The candidate is chosen by, in this order:
+    //   1. the Kalman prior (predicted position of the device's track)
+    //   2. the device's previous position
+    //   3. zones: if exactly one candidate lies inside a zone
+    // A prior only decides if one candidate is clearly closer. Otherwise
+    // the fix stays ambiguous: the device is shown at the baseline point
+    // between the candidates (covariance spanning both), both candidates
+    // are shown as ghosts, and the fix is neither used as a prior nor fed
+    // to the Kalman filter or RTS track as a resolved position.
+    // ============================================================
+
+    const TWO_SENSOR_CONFIG = {
+        // Candidates closer together than this (m) are merged into one
+        minSeparation: 1.0,
+
+        // A prior decides only if |d_a - d_b| ≥ decisionMargin · candidate separation
+        decisionMargin: 0.2,
+
+        // Use zones as a constraint when no prior decides
+        useZones: true
+    };
+
+    // Optional zone test (lat, lng) -> boolean, set by the app
+    let zoneConstraint = null;
+
+    /**
+     * Pick the candidate closer to a prior position
+     * @param {array} candidates - Two candidates { lat, lng }
+     * @param {object} prior - { lat, lng }
+     * @returns {number|null} Index of the chosen candidate, null if undecided
+     */
+    function chooseByPrior(candidates, prior) {
+        const da = gpsToMeters(candidates[0].lat, candidates[0].lng, prior.lat, prior.lng);
+        const db = gpsToMeters(candidates[1].lat, candidates[1].lng, prior.lat, prior.lng);
+        const sep = gpsToMeters(candidates[0].lat, candidates[0].lng, candidates[1].lat, candidates[1].lng);
+
+        const distA = Math.sqrt(da.x * da.x + da.y * da.y);
+        const distB = Math.sqrt(db.x * db.x + db.y * db.y);
+        const separation = Math.sqrt(sep.x * sep.x + sep.y * sep.y);
+
+        if (Math.abs(distA - distB) < TWO_SENSOR_CONFIG.decisionMargin * separation) {
+            return null;
+        }
+        return distA < distB ? 0 : 1;
+    }
+
+    /**
+     * Prior position of a device at a time
+     * Kalman prediction if the filter tracks the device, else its last position.
+     * @param {string} deviceId - Device identifier (mac_hashed)
+     * @param {number} time - Measurement time (ms since epoch)
+     * @param {object} view - View state (default: main view)
+     * @returns {object|null} { lat, lng, method: 'kalman'|'previous' } or null
+     */
+    function getPriorPosition(deviceId, time, view = getView()) {
+        const usable = lastTime => {
+            const gap = (time - lastTime) / 1000;
+            return isFinite(gap) && gap >= 0 && gap <= KALMAN_CONFIG.maxGapSeconds;
+        };
+
+        const state = kalmanEnabled ? view.kalmanStates.get(deviceId) : null;
+        if (state && usable(state.lastUpdate)) {
+            const dt = (time - state.lastUpdate) / 1000;
+            const predicted = metersToGps(state.x[0] + state.x[2] * dt, state.x[1] + state.x[3] * dt, state.refLat, state.refLng);
+            return { lat: predicted.lat, lng: predicted.lng, method: 'kalman' };
+        }
+
+        const last = view.lastPositions.get(deviceId);
+        if (last && usable(last.time)) {
+            return { lat: last.lat, lng: last.lng, method: 'previous' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve the mirror ambiguity of a two-sensor fix
+     * @param {array} candidates - Candidates { lat, lng, covariance }
+     * @param {object|null} prior - { lat, lng, method } prior position
+     * @returns {object} { chosen, ghosts, ambiguous, method } (chosen is null if ambiguous)
+     */
+    function resolveCandidates(candidates, prior) {
+        if (candidates.length < 2) {
+            return { chosen: candidates[0], ghosts: null, ambiguous: false, method: null };
+        }
+
+        let index = prior ? chooseByPrior(candidates, prior) : null;
+        let method = index !== null ? prior.method : null;
+
+        if (index === null && TWO_SENSOR_CONFIG.useZones && zoneConstraint) {
+            const inZone = candidates.map(c => zoneConstraint(c.lat, c.lng));
+            if (inZone[0] !== inZone[1]) {
+                index = inZone[0] ? 0 : 1;
+                method = 'zone';
+            }
+        }
+
+        if (index === null) {
+            return { chosen: null, ghosts: candidates, ambiguous: true, method: null };
+        }
+        return { chosen: candidates[index], ghosts: null, ambiguous: false, method: method };
+    }
+
+    /**
+     * Set the zone test used to resolve two-sensor ambiguity
+     * @param {function|null} fn - (lat, lng) -> boolean, null to disable
+     */
+    function setZoneConstraint(fn) {
+        zoneConstraint = typeof fn === 'function' ? fn : null;
+    }
+
+    // ============================================================
+    // PARTICLE FILTER
+    // ============================================================
+    //
+    // Alternative to the Kalman path that works directly on the range
+    // observations. The particle cloud can represent several hypotheses
+    // at once (the mirror points of two sensors, the full ring around a
+    // single sensor) instead of faking a single position.
+    //
+    // Each particle is [x, y, vx, vy]:
+    // - Predict:  random-walk velocity model over the real time step
+    // - Weight:   product of Gaussian range likelihoods per observation
+    // - Resample: systematic resampling when the effective sample size drops
+    //
+    // All randomness comes from a seeded generator per device, so the same
+    // data always yields the same cloud (regression-testable).
+    // ============================================================
+
+    // Particle filter state per device is kept per view (see getView)
+    let particleFilterEnabled = false;
+
+    // Particle filter parameters
+    const PARTICLE_CONFIG = {
+        // Number of particles per device
+        particleCount: 500,
+
+        // Seed for the pseudo random generator (combined with the device hash)
+        seed: 42,
+
+        // Velocity random walk (m/s per √s) and position jitter (m per √s)
+        velocityNoise: 0.5,
+        positionNoise: 0.5,
+
+        // Resample when effective sample size falls below this fraction of particles
+        resampleThreshold: 0.5,
+
+        // Grid cell size (m) used to find the densest mode for the point estimate
+        modeCellSize: 2.0
+    };
+
+    /**
+     * Simple string hash (32 bit)
+     * @param {string} str - Input string
+     * @returns {number} Unsigned 32 bit hash
+     */
+    function hashString(str) {
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) - hash) + str.charCodeAt(i);
+            hash = hash & hash; // Convert to 32bit integer
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a seeded pseudo random generator (mulberry32)
+     * @param {number} seed - 32 bit seed
+     * @returns {object} { uniform(), gaussian() }
+     */
+    function createRandom(seed) {
+        let a = seed >>> 0;
+
+        function uniform() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        function gaussian() {
+            // Box-Muller transform
+            const u1 = Math.max(uniform(), 1e-12);
+            const u2 = uniform();
+            return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        }
+
+        return { uniform, gaussian };
+    }
+
+    /**
+     * Draw particles around the observation rings
+     * Each particle picks one observation and is placed on its range circle,
+     * so the initial cloud covers every position the ranges allow.
+     *
+     * @param {array} sensors - Array of { x, y, distance }
+     * @param {object} rng - Random generator
+     * @returns {array} Particles [{ x, y, vx, vy, w }]
+     */
+    function initParticles(sensors, rng) {
+        const particles = [];
+        const n = PARTICLE_CONFIG.particleCount;
+
+        for (let i = 0; i < n; i++) {
+            const s = sensors[Math.floor(rng.uniform() * sensors.length)];
+            const angle = rng.uniform() * 2 * Math.PI;
+            const range = Math.max(0, s.distance + rng.gaussian() * getRangeStd(s.distance));
+
+            particles.push({
+                x: s.x + range * Math.cos(angle),
+                y: s.y + range * Math.sin(angle),
+                vx: 0,
+                vy: 0,
+                w: 1 / n
+            });
+        }
+
+        return particles;
+    }
+
+    /**
+     * Weight particles by the range likelihood of every observation
+     * @param {array} particles - Particles (weights updated in place)
+     * @param {array} sensors - Array of { x, y, distance }
+     * @returns {number} Sum of weights before normalization
+     */
+    function weightParticles(particles, sensors) {
+        let total = 0;
+
+        particles.forEach(p => {
+            let logLikelihood = 0;
+            sensors.forEach(s => {
+                const residual = Math.sqrt((p.x - s.x) ** 2 + (p.y - s.y) ** 2) - s.distance;
+                const std = getRangeStd(s.distance);
+                logLikelihood -= 0.5 * (residual / std) ** 2;
+            });
+            p.w *= Math.exp(logLikelihood);
+            total += p.w;
+        });
+
+        if (total > 0) {
+            particles.forEach(p => { p.w /= total; });
+        }
+
+        return total;
+    }
+
+    /**
+     * Systematic resampling
+     * @param {array} particles - Normalized particles
+     * @param {object} rng - Random generator
+     * @returns {array} Resampled particles with equal weights
+     */
+    function resampleParticles(particles, rng) {
+        const n = particles.length;
+        const resampled = [];
+        const start = rng.uniform() / n;
+        let cumulative = particles[0].w;
+        let i = 0;
+
+        for (let k = 0; k < n; k++) {
+            const u = start + k / n;
+            while (u > cumulative && i < n - 1) {
+                i++;
+                cumulative += particles[i].w;
+            }
+            resampled.push({ ...particles[i], w: 1 / n });
+        }
+
+        return resampled;
+    }
+
+    /**
+     * Point estimate from the densest mode of the cloud
+     * A plain weighted mean would land between two mirror hypotheses,
+     * so the mean is taken only over the heaviest grid cell and its neighbours.
+     *
+     * @param {array} particles - Normalized particles
+     * @returns {object} { x, y, covariance }
+     */
+    function estimateFromParticles(particles) {
+        const size = PARTICLE_CONFIG.modeCellSize;
+        const cells = new Map();
+
+        particles.forEach(p => {
+            const key = `${Math.floor(p.x / size)},${Math.floor(p.y / size)}`;
+            cells.set(key, (cells.get(key) || 0) + p.w);
+        });
+
+        // Heaviest 3x3 neighbourhood
+        let bestKey = null;
+        let bestWeight = -1;
+        cells.forEach((_, key) => {
+            const [cx, cy] = key.split(',').map(Number);
+            let w = 0;
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    w += cells.get(`${cx + dx},${cy + dy}`) || 0;
+                }
+            }
+            if (w > bestWeight) {
+                bestWeight = w;
+                bestKey = [cx, cy];
+            }
+        });
+
+        const inMode = particles.filter(p =>
+            Math.abs(Math.floor(p.x / size) - bestKey[0]) <= 1 &&
+            Math.abs(Math.floor(p.y / size) - bestKey[1]) <= 1
+        );
+        const wSum = inMode.reduce((sum, p) => sum + p.w, 0) || 1;
+        const x = inMode.reduce((sum, p) => sum + p.w * p.x, 0) / wSum;
+        const y = inMode.reduce((sum, p) => sum + p.w * p.y, 0) / wSum;
+
+        // Covariance of the whole cloud (spread of all hypotheses)
+        let cxx = 0, cxy = 0, cyy = 0;
+        particles.forEach(p => {
+            cxx += p.w * (p.x - x) ** 2;
+            cxy += p.w * (p.x - x) * (p.y - y);
+            cyy += p.w * (p.y - y) ** 2;
+        });
+
+        return { x, y, covariance: [[cxx, cxy], [cxy, cyy]] };
+    }
+
+    /**
+     * Run one particle filter step for a device
+     * @param {string} deviceId - Device identifier (mac_hashed)
+     * @param {array} observations - Range observations { sensor_lat, sensor_lng, distance }
+     * @param {number} time - Measurement time (ms since epoch, data time)
+     * @param {object} view - View state (default: main view)
+     * @returns {object|null} { lat, lng, covariance, particles: [{ lat, lng, weight }] }
+     */
+    function applyParticleFilter(deviceId, observations, time, view = getView()) {
+        if (!observations || observations.length === 0) return null;
+
+        const particleStates = view.particleStates;
+        let state = particleStates.get(deviceId);
+
+        // Restart on backwards time or long gaps (same rule as the Kalman filter).
+        // The whole state is rebuilt (seed, reference point), so the cloud at a
+        // timestamp does not depend on how the timeline got there.
+        if (state && isFinite(time) && isFinite(state.lastUpdate)) {
+            const gap = (time - state.lastUpdate) / 1000;
+            if (gap < 0 || gap > KALMAN_CONFIG.maxGapSeconds) {
+                state = null;
+            }
+        }
+
+        // Same data time - measurement already incorporated
+        if (state && state.lastResult && time === state.lastUpdate) {
+            return state.lastResult;
+        }
+
+        if (!state) {
+            state = {
+                rng: createRandom(PARTICLE_CONFIG.seed ^ hashString(deviceId)),
+                refLat: observations[0].sensor_lat,
+                refLng: observations[0].sensor_lng,
+                particles: null,
+                lastUpdate: time
+            };
+            particleStates.set(deviceId, state);
+        }
+
+        const sensors = observations.map(o => ({
+            ...gpsToMeters(o.sensor_lat, o.sensor_lng, state.refLat, state.refLng),
+            distance: o.distance
+        }));
+
+        if (!state.particles) {
+            state.particles = initParticles(sensors, state.rng);
+        } else {
+            // Predict: random-walk velocity model over the real time step
+            let dt = KALMAN_CONFIG.defaultDt;
+            if (isFinite(time) && isFinite(state.lastUpdate)) {
+                dt = (time - state.lastUpdate) / 1000;
+            }
+            const sqrtDt = Math.sqrt(dt);
+
+            state.particles.forEach(p => {
+                p.vx += state.rng.gaussian() * PARTICLE_CONFIG.velocityNoise * sqrtDt;
+                p.vy += state.rng.gaussian() * PARTICLE_CONFIG.velocityNoise * sqrtDt;
+                p.x += p.vx * dt + state.rng.gaussian() * PARTICLE_CONFIG.positionNoise * sqrtDt;
+                p.y += p.vy * dt + state.rng.gaussian() * PARTICLE_CONFIG.positionNoise * sqrtDt;
+            });
+        }
+
+        // Update: all particles ruled out -> start over from the current rings
+        if (weightParticles(state.particles, sensors) === 0) {
+            state.particles = initParticles(sensors, state.rng);
+            weightParticles(state.particles, sensors);
+        }
+
+        const estimate = estimateFromParticles(state.particles);
+
+        // Resample when the effective sample size drops
+        const ess = 1 / state.particles.reduce((sum, p) => sum + p.w * p.w, 0);
+        if (ess < PARTICLE_CONFIG.resampleThreshold * state.particles.length) {
+            state.particles = resampleParticles(state.particles, state.rng);
+        }
+
+        state.lastUpdate = time;
+
+        const gps = metersToGps(estimate.x, estimate.y, state.refLat, state.refLng);
+        state.lastResult = {
+            lat: gps.lat,
+            lng: gps.lng,
+            covariance: estimate.covariance,
+            particles: state.particles.map(p => {
+                const pGps = metersToGps(p.x, p.y, state.refLat, state.refLng);
+                return { lat: pGps.lat, lng: pGps.lng, weight: p.w };
+            })
+        };
+        return state.lastResult;
+    }
+
+    /**
+     * Enable or disable the particle filter
+     * When enabled it replaces the Kalman filter in computeAllPositions.
+     * @param {boolean} enabled - true to enable, false to disable
+     */
+    function setParticleFilterEnabled(enabled) {
+        particleFilterEnabled = enabled;
+        console.log(`[Particle] Filter ${enabled ? 'enabled' : 'disabled'}`);
+        // Fresh, reproducible start from the seed
+        views.forEach(view => view.particleStates.clear());
+    }
+
+    /**
+     * Check if the particle filter is enabled
+     * @returns {boolean}
+     */
+    function isParticleFilterEnabled() {
+        return particleFilterEnabled;
+    }
+
+    // ============================================================
+    // RAUCH–TUNG–STRIEBEL SMOOTHER (OFFLINE)
+    // ============================================================
+    //
+    // For loaded files all measurements are known in advance, so each
+    // position can use past AND future readings. Per device we run the
+    // forward Kalman pass over the whole recording, then a backward pass:
+    //
+    //   C_k  = P_k|k · F' · P_k+1|k⁻¹
+    //   x_k  = x_k|k + C_k · (x_k+1 - x_k+1|k)
+    //   P_k  = P_k|k + C_k · (P_k+1 - P_k+1|k) · C_k'
+    //
+    // Tracks are split at gaps longer than KALMAN_CONFIG.maxGapSeconds,
+    // like the forward filter restarts there.
+    // ============================================================
+
+    // Smoothed positions are kept per view (see getView)
+    let smoothingEnabled = false;
+
+    /**
+     * Multiply two matrices
+     * @param {array} A - n x m matrix
+     * @param {array} B - m x p matrix
+     * @returns {array} n x p matrix
+     */
+    function matMultiply(A, B) {
+        return A.map(row => B[0].map((_, j) => row.reduce((sum, a, k) => sum + a * B[k][j], 0)));
+    }
+
+    /**
+     * Transpose a matrix
+     * @param {array} A - n x m matrix
+     * @returns {array} m x n matrix
+     */
+    function matTranspose(A) {
+        return A[0].map((_, j) => A.map(row => row[j]));
+    }
+
+    /**
+     * Invert a square matrix (Gauss-Jordan with partial pivoting)
+     * @param {array} A - n x n matrix
+     * @returns {array|null} Inverse, or null if singular
+     */
+    function matInverse(A) {
+        const n = A.length;
+        const M = A.map((row, i) => row.concat(row.map((_, j) => (i === j ? 1 : 0))));
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+            }
+            if (Math.abs(M[pivot][col]) < 1e-12) return null;
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+
+            const p = M[col][col];
+            for (let j = 0; j < 2 * n; j++) M[col][j] /= p;
+
+            for (let r = 0; r < n; r++) {
+                if (r === col) continue;
+                const f = M[r][col];
+                if (f === 0) continue;
+                for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[col][j];
+            }
+        }
+
+        return M.map(row => row.slice(n));
+    }
+
+    /**
+     * State transition matrix F for the constant velocity model
+     * @param {number} dt - Time step in seconds
+     * @returns {array} 4x4 matrix
+     */
+    function transitionMatrix(dt) {
+        return [
+            [1, 0, dt, 0],
+            [0, 1, 0, dt],
+            [0, 0, 1, 0],
+            [0, 0, 0, 1]
+        ];
+    }
+
+    /**
+     * Smooth one continuous track segment (forward Kalman + backward RTS)
+     * @param {array} segment - Sorted array of { time, x, y, quality }
+     * @returns {array} Smoothed states [{ x: [x, y, vx, vy], P }], same order
+     */
+    function smoothSegment(segment) {
+        const filtered = [];
+        const predicted = [];
+        const dts = [];
+
+        // Forward pass
+        let state = null;
+        segment.forEach((m, k) => {
+            if (k === 0) {
+                state = createKalmanState(m.x, m.y, m.time);
+                filtered.push({ x: state.x, P: state.P });
+                predicted.push(null);
+                dts.push(0);
+                return;
+            }
+
+            const dt = (m.time - segment[k - 1].time) / 1000;
+            const measurementNoise = KALMAN_CONFIG.measurementNoise * (1 + m.quality / 10);
+            const pred = kalmanPredict(state, dt);
+            const upd = kalmanUpdate(pred, m.x, m.y, measurementNoise);
+
+            predicted.push(pred);
+            filtered.push(upd);
+            dts.push(dt);
+            state = upd;
+        });
+
+        // Backward pass
+        const smoothed = new Array(segment.length);
+        smoothed[segment.length - 1] = filtered[segment.length - 1];
+
+        for (let k = segment.length - 2; k >= 0; k--) {
+            const F = transitionMatrix(dts[k + 1]);
+            const predInv = matInverse(predicted[k + 1].P);
+
+            if (!predInv) {
+                smoothed[k] = filtered[k];
+                continue;
+            }
+
+            const C = matMultiply(matMultiply(filtered[k].P, matTranspose(F)), predInv);
+            const dx = smoothed[k + 1].x.map((v, i) => [v - predicted[k + 1].x[i]]);
+            const correction = matMultiply(C, dx);
+            const dP = smoothed[k + 1].P.map((row, i) => row.map((v, j) => v - predicted[k + 1].P[i][j]));
+            const CdPCt = matMultiply(matMultiply(C, dP), matTranspose(C));
+
+            smoothed[k] = {
+                x: filtered[k].x.map((v, i) => v + correction[i][0]),
+                P: filtered[k].P.map((row, i) => row.map((v, j) => v + CdPCt[i][j]))
+            };
+        }
+
+        return smoothed;
+    }
+
+    /**
+     * Run the offline smoother over the complete loaded dataset
+     * Results are cached per timestamp until clearCache() is called.
+     * @param {object} view - View state (its estimator produces the raw tracks)
+     */
+    function computeSmoothedTracks(view) {
+        const smoothedPositions = view.smoothedPositions;
+        smoothedPositions.clear();
+
+        // Collect the raw lateration track of every device
+        const tracks = new Map(); // mac_hashed -> [{ timestamp, time, lat, lng, quality }]
+        DataHandler.getTimestamps().forEach(timestamp => {
+            const devices = DataHandler.getDevicesInTimeWindow(timestamp);
+            devices.forEach((observations, macHashed) => {
+                const result = getCachedOrCompute(timestamp, macHashed, observations, view);
+                if (!result || isNaN(result.lat) || isNaN(result.lng)) return;
+
+                // Range-only results have no position to smooth
+                if (result.resultType === 'range') return;
+
+                if (!tracks.has(macHashed)) {
+                    tracks.set(macHashed, []);
+                }
+                const track = tracks.get(macHashed);
+                const time = new Date(timestamp).getTime();
+
+                // Two-sensor fixes: follow the candidate closer to the previous track point
+                // (ambiguous fixes are left out of the track)
+                let position = { lat: result.lat, lng: result.lng };
+                if (result.candidates) {
+                    const previous = track[track.length - 1];
+                    const prior = previous && (time - previous.time) / 1000 <= KALMAN_CONFIG.maxGapSeconds
+                        ? { lat: previous.lat, lng: previous.lng, method: 'previous' }
+                        : null;
+                    position = resolveCandidates(result.candidates, prior).chosen;
+                    if (!position) return;
+                }
+
+                track.push({
+                    timestamp: timestamp,
+                    time: time,
+                    lat: position.lat,
+                    lng: position.lng,
+                    quality: result.variance || 5
+                });
+            });
+        });
+
+        tracks.forEach((track, macHashed) => {
+            track.sort((a, b) => a.time - b.time);
+
+            // Local frame anchored at the first position of the device
+            const refLat = track[0].lat;
+            const refLng = track[0].lng;
+            track.forEach(m => Object.assign(m, gpsToMeters(m.lat, m.lng, refLat, refLng)));
+
+            // Split into continuous segments
+            const segments = [];
+            track.forEach((m, k) => {
+                if (k === 0 || (m.time - track[k - 1].time) / 1000 > KALMAN_CONFIG.maxGapSeconds) {
+                    segments.push([]);
+                }
+                segments[segments.length - 1].push(m);
+            });
+
+            segments.forEach(segment => {
+                const smoothed = smoothSegment(segment);
+                segment.forEach((m, k) => {
+                    const gps = metersToGps(smoothed[k].x[0], smoothed[k].x[1], refLat, refLng);
+                    if (!smoothedPositions.has(m.timestamp)) {
+                        smoothedPositions.set(m.timestamp, new Map());
+                    }
+                    smoothedPositions.get(m.timestamp).set(macHashed, {
+                        lat: gps.lat,
+                        lng: gps.lng,
+                        covariance: positionCovariance(smoothed[k].P)
+                    });
+                });
+            });
+        });
+
+        view.smoothedReady = true;
+        console.log(`[RTS] Smoothed ${tracks.size} device tracks over ${smoothedPositions.size} timestamps`);
+    }
+
+    /**
+     * Get the smoothed position of a device at a timestamp
+     * @param {string} timestamp - Timestamp
+     * @param {string} macHashed - Device MAC hash
+     * @param {object} view - View state (default: main view)
+     * @returns {object|null} { lat, lng, covariance } or null if not available
+     */
+    function getSmoothedPosition(timestamp, macHashed, view = getView()) {
+        if (!view.smoothedReady) {
+            computeSmoothedTracks(view);
+        }
+        const atTimestamp = view.smoothedPositions.get(timestamp);
+        return (atTimestamp && atTimestamp.get(macHashed)) || null;
+    }
+
+    /**
+     * Mark smoothed tracks as outdated (e.g. after live data was appended)
+     * They are recomputed on the next request.
+     */
+    function invalidateSmoothedTracks() {
+        views.forEach(view => {
+            view.smoothedPositions.clear();
+            view.smoothedReady = false;
+        });
+    }
+
+    /**
+     * Enable or disable the offline RTS smoother
+     * When enabled it replaces the forward Kalman filter in computeAllPositions.
+     * Tracks are not kept up to date while disabled, so enabling rebuilds them.
+     * @param {boolean} enabled - true to enable, false to disable
+     */
+    function setSmoothingEnabled(enabled) {
+        if (enabled && !smoothingEnabled) {
+            invalidateSmoothedTracks();
+        }
+        smoothingEnabled = enabled;
+        console.log(`[RTS] Smoother ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Check if the offline RTS smoother is enabled
+     * @returns {boolean}
+     */
+    function isSmoothingEnabled() {
+        return smoothingEnabled;
     }
 
     /**
@@ -634,52 +2373,132 @@ const Lateration = (function () {
      * to solve the async sensor reporting problem.
      * 
      * @param {string} timestamp - Target timestamp
+     * @param {string} viewId - Map view whose estimator and filter states are used (default MAIN_VIEW)
      * @returns {array} Array of device position objects
      */
-    function computeAllPositions(timestamp) {
+    function computeAllPositions(timestamp, viewId = MAIN_VIEW) {
+        const view = getView(viewId);
+
         // Use time window aggregation to sync async sensor readings
         // This solves: Sensor A at 12:00:01, Sensor B at 12:00:10 -> treated as "now"
         const devices = DataHandler.getDevicesInTimeWindow(timestamp);
         const results = [];
 
+        const time = new Date(timestamp).getTime();
+
         devices.forEach((observations, macHashed) => {
-            const result = getCachedOrCompute(timestamp, macHashed, observations);
+            let result = getCachedOrCompute(timestamp, macHashed, observations, view);
+
+            // Two sensors: pick one of the mirror candidates (before filtering)
+            // An unresolved fix keeps the baseline point and the covariance spanning both
+            let ghosts = null;
+            let ambiguous = false;
+            let candidateMethod = null;
+            if (result && result.candidates) {
+                const resolved = resolveCandidates(result.candidates, getPriorPosition(macHashed, time, view));
+                ghosts = resolved.ghosts;
+                ambiguous = resolved.ambiguous;
+                candidateMethod = resolved.method;
+                if (!ambiguous) {
+                    result = {
+                        ...result,
+                        lat: resolved.chosen.lat,
+                        lng: resolved.chosen.lng,
+                        covariance: resolved.chosen.covariance
+                    };
+                }
+            }
 
             if (result && !isNaN(result.lat) && !isNaN(result.lng)) {
                 // Apply Kalman filter only if enabled
                 let finalLat = result.lat;
                 let finalLng = result.lng;
+                let finalCovariance = result.covariance;
                 let isSmoothed = false;
-
-                if (kalmanEnabled) {
+                let filterMode = 'none';
+                let particles = null;
+                let resultType = result.resultType;
+                let ring = result.ring;
+
+                if (smoothingEnabled) {
+                    // Offline RTS smoother (uses the whole dataset)
+                    const smoothed = getSmoothedPosition(timestamp, macHashed, view);
+                    if (smoothed && !isNaN(smoothed.lat) && !isNaN(smoothed.lng)) {
+                        finalLat = smoothed.lat;
+                        finalLng = smoothed.lng;
+                        finalCovariance = smoothed.covariance;
+                        isSmoothed = true;
+                        filterMode = 'rts';
+                    }
+                } else if (particleFilterEnabled) {
+                    // Particle filter works on the (inlier) range observations directly
+                    const pf = applyParticleFilter(
+                        macHashed,
+                        result.observations,
+                        time,
+                        view
+                    );
+                    if (pf && !isNaN(pf.lat) && !isNaN(pf.lng)) {
+                        finalLat = pf.lat;
+                        finalLng = pf.lng;
+                        finalCovariance = pf.covariance;
+                        isSmoothed = true;
+                        filterMode = 'particle';
+                        particles = pf.particles;
+                        // The particle prior turns a single range into a position
+                        resultType = 'position';
+                        ring = null;
+                    }
+                } else if (kalmanEnabled && resultType === 'position' && !ambiguous) {
+                    // Range-only results carry no position to feed the filter,
+                    // an ambiguous fix would pull the track onto the baseline
                     // Apply Kalman filter to smooth the position
                     // Use variance as the quality metric for the filter
                     const smoothed = applyKalmanFilter(
                         macHashed,
                         result.lat,
                         result.lng,
-                        result.variance || 5  // Use variance, fallback to 5m if undefined
+                        result.variance || 5,  // Use variance, fallback to 5m if undefined
+                        time,
+                        view
                     );
 
                     // Validate smoothed coordinates
                     if (!isNaN(smoothed.lat) && !isNaN(smoothed.lng)) {
                         finalLat = smoothed.lat;
                         finalLng = smoothed.lng;
+                        finalCovariance = smoothed.covariance;
                         isSmoothed = true;
+                        filterMode = 'kalman';
                     }
                 }
 
                 results.push({
                     macHashed: macHashed,
                     ...result,
+                    resultType: resultType,  // 'position' or 'range' (device on ring, see ring)
+                    ring: ring,
                     // Use final position (smoothed or raw)
                     lat: finalLat,
                     lng: finalLng,
                     // Keep raw position for reference
                     rawLat: result.lat,
                     rawLng: result.lng,
-                    isSmoothed: isSmoothed
+                    // Position covariance of the final estimate (m², local east/north)
+                    covariance: finalCovariance,
+                    rawCovariance: result.covariance,
+                    isSmoothed: isSmoothed,
+                    filterMode: filterMode,  // 'rts', 'particle', 'kalman' or 'none'
+                    particles: particles,    // Particle cloud [{ lat, lng, weight }] (particle mode only)
+                    ambiguous: ambiguous,    // Two-sensor fix where no prior picked a candidate
+                    ghosts: ghosts,          // Both mirror candidates [{ lat, lng }] (ambiguous only)
+                    candidateMethod: candidateMethod // 'kalman', 'previous', 'zone' or null
                 });
+
+                // Only resolved positions become the prior of the next fix
+                if (resultType === 'position' && !ambiguous) {
+                    view.lastPositions.set(macHashed, { lat: finalLat, lng: finalLng, time: time });
+                }
             }
         });
 
@@ -690,7 +2509,7 @@ const Lateration = (function () {
      * Reset Kalman filter states (e.g., when loading new data)
      */
     function resetKalmanFilters() {
-        kalmanStates.clear();
+        views.forEach(view => view.kalmanStates.clear());
     }
 
     /**
@@ -706,6 +2525,27 @@ const Lateration = (function () {
         }
     }
 
+    /**
+     * Set the quality classification rule
+     * Cached results carry the old level, so the cache is cleared.
+     * @param {string} mode - 'geometry' or 'sensorCount'
+     */
+    function setQualityMode(mode) {
+        if (mode === 'geometry' || mode === 'sensorCount') {
+            QUALITY_CONFIG.mode = mode;
+            resultCache.clear();
+            console.log(`[Lateration] Quality mode set to ${mode}`);
+        }
+    }
+
+    /**
+     * Get the quality classification rule
+     * @returns {string} 'geometry' or 'sensorCount'
+     */
+    function getQualityMode() {
+        return QUALITY_CONFIG.mode;
+    }
+
     /**
      * Check if Kalman filter is enabled
      * @returns {boolean}
@@ -718,12 +2558,41 @@ const Lateration = (function () {
     return {
         trilaterate,
         computeAllPositions,
+        MAIN_VIEW,
         clearCache,
+        dropCachedTimestamps,
+        dropStaleDevices,
         resetKalmanFilters,
         setKalmanEnabled,
         isKalmanEnabled,
+        setSmoothingEnabled,
+        isSmoothingEnabled,
+        invalidateSmoothedTracks,
+        setParticleFilterEnabled,
+        isParticleFilterEnabled,
+        setRobustEnabled,
+        isRobustEnabled,
+        setOutlierThreshold,
+        setQualityMode,
+        getQualityMode,
+        setMaxRange,
+        setDeviceHeight,
+        setZoneConstraint,
+        registerEstimator,
+        getEstimators,
+        setEstimator,
+        getEstimator,
+        setEstimatorParams,
+        getEstimatorParams,
+        sampleRing,
+        getExpectedPrecision,
         gpsToMeters,
         metersToGps,
-        KALMAN_CONFIG
+        KALMAN_CONFIG,
+        SOLVER_CONFIG,
+        ROBUST_CONFIG,
+        PARTICLE_CONFIG,
+        QUALITY_CONFIG,
+        TWO_SENSOR_CONFIG
     };
 })();
@@ -13,6 +13,24 @@ const MapLayers = (function () {
     let debugLayer = null;
     let heatmapLayer = null;
     let connectionLines = null;
+    let particleLayer = null;
+    let ellipseLayer = null;
+    let coverageLayer = null;
+    let virtualSensorLayer = null;
+    let comparisonLayer = null;
+    let mapInstance = null;
+
+    // Split view: second map with its own estimator, synchronized with the main map
+    let compareMap = null;
+    let compareSensorLayer = null;
+    let compareDeviceLayer = null;
+    let compareComparisonLayer = null;
+    let compareLabel = null;
+    let comparisonVisible = false;
+    let currentSensors = new Map();
+
+    // Canvas renderer for large marker counts (particle clouds)
+    let canvasRenderer = null;
 
     // Marker collections
     let sensorMarkers = new Map();
@@ -22,6 +40,49 @@ const MapLayers = (function () {
     // Selected device for debug view
     let selectedDevice = null;
 
+    // Coverage planning: virtual sensors [{ id, lat, lng }] and state
+    let virtualSensors = [];
+    let virtualSensorCounter = 0;
+    let whatIfEnabled = false;
+    let coverageVisible = false;
+
+    // Coverage raster settings
+    const COVERAGE_CONFIG = {
+        // Cell edge length in meters (grown automatically above maxCells)
+        cellSize: 2,
+
+        // Area around the outermost sensors in meters
+        padding: 40,
+
+        // Upper bound on raster cells
+        maxCells: 60000,
+
+        // Expected precision (m) drawn fully green / fully red
+        goodPrecision: 3,
+        poorPrecision: 10,
+
+        // Overlay opacity
+        opacity: 0.45
+    };
+
+    // Range-only (single sensor) ring settings
+    const RING_CONFIG = {
+        // Half width of the annulus in range standard deviations
+        sigmas: 2,
+
+        // Polygon vertices per ring edge
+        segments: 64
+    };
+
+    // Uncertainty ellipse settings
+    const ELLIPSE_CONFIG = {
+        // Probability mass inside the ellipse (0.68 or 0.95)
+        confidence: 0.95,
+
+        // Polygon vertices per ellipse
+        segments: 48
+    };
+
     // Custom icons
     const sensorIcon = L.divIcon({
         className: 'sensor-icon',
@@ -34,11 +95,26 @@ const MapLayers = (function () {
      * @param {L.Map} map - Leaflet map instance
      */
     function init(map) {
+        mapInstance = map;
+
         // Create layer groups
         sensorLayer = L.layerGroup().addTo(map);
         deviceLayer = L.layerGroup().addTo(map);
         debugLayer = L.layerGroup();
         connectionLines = L.layerGroup();
+        particleLayer = L.layerGroup();
+        ellipseLayer = L.layerGroup();
+        coverageLayer = L.layerGroup();
+        virtualSensorLayer = L.layerGroup().addTo(map);
+        comparisonLayer = L.layerGroup();
+
+        // What-if mode: clicking the map places a virtual sensor
+        map.on('click', function (e) {
+            if (whatIfEnabled) {
+                addVirtualSensor(e.latlng.lat, e.latlng.lng);
+            }
+        });
+        canvasRenderer = L.canvas({ padding: 0.5 });
 
         // Heatmap will be created when needed
         heatmapLayer = null;
@@ -51,35 +127,224 @@ const MapLayers = (function () {
     function renderSensors(sensors) {
         sensorLayer.clearLayers();
         sensorMarkers.clear();
+        currentSensors = sensors;
 
         sensors.forEach((sensor, id) => {
-            const marker = L.marker([sensor.lat, sensor.lng], {
-                icon: sensorIcon,
-                zIndexOffset: 1000
-            });
+            const marker = createSensorMarker(sensor, id);
+            marker.sensorId = id;
+            sensorMarkers.set(id, marker);
+            sensorLayer.addLayer(marker);
+        });
 
-            // Tooltip content
-            const tooltipContent = `
-                <div class="sensor-popup-title">[MQTT] ${id}</div>
-                <div class="popup-row">
-                    <span class="popup-label">Lat:</span>
-                    <span>${sensor.lat.toFixed(6)}</span>
-                </div>
-                <div class="popup-row">
-                    <span class="popup-label">Lng:</span>
-                    <span>${sensor.lng.toFixed(6)}</span>
-                </div>
-            `;
+        if (compareMap) {
+            renderCompareSensors();
+        }
 
-            marker.bindTooltip(tooltipContent, {
-                direction: 'top',
-                offset: [0, -10]
+        if (coverageVisible) {
+            renderCoverage();
+        }
+    }
+
+    /**
+     * Create a sensor marker with tooltip
+     * @param {object} sensor - { lat, lng }
+     * @param {string} id - Sensor ID
+     * @returns {L.Marker}
+     */
+    function createSensorMarker(sensor, id) {
+        const marker = L.marker([sensor.lat, sensor.lng], {
+            icon: sensorIcon,
+            zIndexOffset: 1000
+        });
+
+        // Tooltip content
+        const tooltipContent = `
+            <div class="sensor-popup-title">[MQTT] ${id}</div>
+            <div class="popup-row">
+                <span class="popup-label">Lat:</span>
+                <span>${sensor.lat.toFixed(6)}</span>
+            </div>
+            <div class="popup-row">
+                <span class="popup-label">Lng:</span>
+                <span>${sensor.lng.toFixed(6)}</span>
+            </div>
+        `;
+
+        marker.bindTooltip(tooltipContent, {
+            direction: 'top',
+            offset: [0, -10]
+        });
+
+        return marker;
+    }
+
+    /**
+     * Sensor layout for the coverage layer
+     * Loaded data first, stored GPS coordinates otherwise, plus virtual sensors.
+     * @returns {array} Array of { id, lat, lng, virtual }
+     */
+    function getCoverageSensors() {
+        const sensors = [];
+        const loaded = DataHandler.getSensors();
+
+        if (loaded && loaded.size > 0) {
+            loaded.forEach((sensor, id) => sensors.push({ id, lat: sensor.lat, lng: sensor.lng, virtual: false }));
+        } else {
+            Object.entries(GpsStorage.loadAll()).forEach(([id, coords]) => {
+                sensors.push({ id, lat: coords.lat, lng: coords.lng, virtual: false });
             });
+        }
 
-            marker.sensorId = id;
-            sensorMarkers.set(id, marker);
-            sensorLayer.addLayer(marker);
+        virtualSensors.forEach(v => sensors.push({ id: v.id, lat: v.lat, lng: v.lng, virtual: true }));
+        return sensors;
+    }
+
+    /**
+     * Color of a coverage cell as [r, g, b, a]
+     * ≥3 sensors: green → yellow → red by expected precision.
+     * 2 sensors: faint red (mirror ambiguity). Fewer: transparent.
+     * @param {object} cell - { sensorCount, precision } from Lateration.getExpectedPrecision
+     * @returns {array} RGBA 0-255
+     */
+    function getCoverageColor(cell) {
+        if (cell.sensorCount < 2 || !isFinite(cell.precision)) return [0, 0, 0, 0];
+        if (cell.sensorCount === 2) return [239, 68, 68, 90];
+
+        const green = [16, 185, 129];
+        const yellow = [245, 158, 11];
+        const red = [239, 68, 68];
+        const t = Math.max(0, Math.min(1,
+            (cell.precision - COVERAGE_CONFIG.goodPrecision) / (COVERAGE_CONFIG.poorPrecision - COVERAGE_CONFIG.goodPrecision)));
+
+        const [from, to, f] = t < 0.5 ? [green, yellow, t * 2] : [yellow, red, (t - 0.5) * 2];
+        return [
+            Math.round(from[0] + (to[0] - from[0]) * f),
+            Math.round(from[1] + (to[1] - from[1]) * f),
+            Math.round(from[2] + (to[2] - from[2]) * f),
+            255
+        ];
+    }
+
+    /**
+     * Rasterize the expected positioning precision around the sensors
+     * Drawn into an offscreen canvas and shown as one image overlay.
+     */
+    function renderCoverage() {
+        coverageLayer.clearLayers();
+
+        const sensors = getCoverageSensors();
+        if (sensors.length === 0) return;
+
+        // Local frame anchored at the sensor centroid
+        const refLat = sensors.reduce((sum, sensor) => sum + sensor.lat, 0) / sensors.length;
+        const refLng = sensors.reduce((sum, sensor) => sum + sensor.lng, 0) / sensors.length;
+        const points = sensors.map(sensor => Lateration.gpsToMeters(sensor.lat, sensor.lng, refLat, refLng));
+
+        const pad = COVERAGE_CONFIG.padding;
+        const minX = Math.min(...points.map(p => p.x)) - pad;
+        const maxX = Math.max(...points.map(p => p.x)) + pad;
+        const minY = Math.min(...points.map(p => p.y)) - pad;
+        const maxY = Math.max(...points.map(p => p.y)) + pad;
+
+        let cellSize = COVERAGE_CONFIG.cellSize;
+        const area = (maxX - minX) * (maxY - minY);
+        if (area / (cellSize * cellSize) > COVERAGE_CONFIG.maxCells) {
+            cellSize = Math.sqrt(area / COVERAGE_CONFIG.maxCells);
+        }
+
+        const cols = Math.max(1, Math.ceil((maxX - minX) / cellSize));
+        const rows = Math.max(1, Math.ceil((maxY - minY) / cellSize));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = cols;
+        canvas.height = rows;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(cols, rows);
+
+        for (let row = 0; row < rows; row++) {
+            // Canvas rows run top (north) to bottom (south)
+            const y = maxY - (row + 0.5) * cellSize;
+            for (let col = 0; col < cols; col++) {
+                const x = minX + (col + 0.5) * cellSize;
+                const color = getCoverageColor(Lateration.getExpectedPrecision({ x, y }, points));
+                image.data.set(color, (row * cols + col) * 4);
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+
+        const southWest = Lateration.metersToGps(minX, maxY - rows * cellSize, refLat, refLng);
+        const northEast = Lateration.metersToGps(minX + cols * cellSize, maxY, refLat, refLng);
+
+        coverageLayer.addLayer(L.imageOverlay(canvas.toDataURL(), [
+            [southWest.lat, southWest.lng],
+            [northEast.lat, northEast.lng]
+        ], {
+            opacity: COVERAGE_CONFIG.opacity,
+            className: 'coverage-overlay',
+            interactive: false
+        }));
+    }
+
+    /**
+     * Add a virtual sensor for what-if planning
+     * Drag to move, click to remove.
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     */
+    function addVirtualSensor(lat, lng) {
+        const sensor = { id: `virtual-${++virtualSensorCounter}`, lat, lng };
+        virtualSensors.push(sensor);
+
+        const marker = L.marker([lat, lng], {
+            icon: L.divIcon({
+                className: 'sensor-icon virtual-sensor-icon',
+                iconSize: [20, 20],
+                iconAnchor: [10, 10]
+            }),
+            draggable: true,
+            zIndexOffset: 1000
         });
+
+        marker.bindTooltip(`${sensor.id} (drag to move, click to remove)`, {
+            direction: 'top',
+            offset: [0, -10]
+        });
+
+        marker.on('dragend', function () {
+            const position = marker.getLatLng();
+            sensor.lat = position.lat;
+            sensor.lng = position.lng;
+            if (coverageVisible) renderCoverage();
+        });
+
+        marker.on('click', function () {
+            virtualSensors = virtualSensors.filter(v => v !== sensor);
+            virtualSensorLayer.removeLayer(marker);
+            if (coverageVisible) renderCoverage();
+        });
+
+        virtualSensorLayer.addLayer(marker);
+        if (coverageVisible) renderCoverage();
+    }
+
+    /**
+     * Remove all virtual sensors
+     */
+    function clearVirtualSensors() {
+        virtualSensors = [];
+        virtualSensorLayer.clearLayers();
+        if (coverageVisible) renderCoverage();
+    }
+
+    /**
+     * Enable or disable placing virtual sensors by clicking the map
+     * @param {boolean} enabled - true to enable
+     */
+    function setWhatIfEnabled(enabled) {
+        whatIfEnabled = enabled;
+        if (mapInstance) {
+            mapInstance.getContainer().classList.toggle('what-if-active', enabled);
+        }
     }
 
     /**
@@ -110,15 +375,117 @@ const MapLayers = (function () {
     }
 
     /**
-     * Get marker radius based on quality/variance
-     * @param {number} variance - Position variance in meters
-     * @returns {number} Radius in pixels
+     * Semi-axes and orientation of the confidence ellipse of a covariance
+     *
+     * For a 2D Gaussian the squared Mahalanobis distance is chi-square with
+     * 2 degrees of freedom, so the ellipse holding probability p is scaled by
+     * k = √(-2·ln(1 - p)) (1.51 for 68%, 2.45 for 95%).
+     *
+     * @param {array} covariance - 2x2 covariance in m² (x = east, y = north)
+     * @param {number} confidence - Probability inside the ellipse (0-1)
+     * @returns {object|null} { major, minor, angle } in meters / radians from east
      */
-    function getRadiusFromVariance(variance) {
-        // Lower variance = smaller, tighter marker
-        // Higher variance = larger, indicating uncertainty
-        const clamped = Math.max(1, Math.min(30, variance));
-        return 6 + (clamped / 30) * 10;
+    function getEllipseAxes(covariance, confidence) {
+        if (!covariance) return null;
+
+        const a = covariance[0][0];
+        const b = covariance[0][1];
+        const d = covariance[1][1];
+        if (![a, b, d].every(isFinite)) return null;
+
+        // Eigenvalues of the symmetric matrix
+        const mean = (a + d) / 2;
+        const spread = Math.sqrt(Math.pow((a - d) / 2, 2) + b * b);
+        const lambda1 = Math.max(0, mean + spread);
+        const lambda2 = Math.max(0, mean - spread);
+
+        const k = Math.sqrt(-2 * Math.log(1 - confidence));
+
+        return {
+            major: k * Math.sqrt(lambda1),
+            minor: k * Math.sqrt(lambda2),
+            angle: 0.5 * Math.atan2(2 * b, a - d)
+        };
+    }
+
+    /**
+     * Build the polygon outline of an ellipse around a GPS position
+     * @param {number} lat - Center latitude
+     * @param {number} lng - Center longitude
+     * @param {object} axes - { major, minor, angle } from getEllipseAxes
+     * @returns {array} Array of [lat, lng]
+     */
+    function getEllipseLatLngs(lat, lng, axes) {
+        const cosA = Math.cos(axes.angle);
+        const sinA = Math.sin(axes.angle);
+        const latLngs = [];
+
+        for (let i = 0; i < ELLIPSE_CONFIG.segments; i++) {
+            const t = 2 * Math.PI * i / ELLIPSE_CONFIG.segments;
+            const u = axes.major * Math.cos(t);
+            const v = axes.minor * Math.sin(t);
+            const point = Lateration.metersToGps(u * cosA - v * sinA, u * sinA + v * cosA, lat, lng);
+            latLngs.push([point.lat, point.lng]);
+        }
+
+        return latLngs;
+    }
+
+    /**
+     * Outline of a range-only ring as polygon with a hole
+     * @param {object} ring - { lat, lng, radius, std } from Lateration
+     * @returns {array} [outer ring, inner ring] of [lat, lng]
+     */
+    function getRingLatLngs(ring) {
+        const toLatLngs = radius => Lateration.sampleRing({ ...ring, radius: radius }, 0, RING_CONFIG.segments, 1)
+            .map(p => [p.lat, p.lng]);
+
+        const inner = Math.max(0, ring.radius - RING_CONFIG.sigmas * ring.std);
+        const outer = ring.radius + RING_CONFIG.sigmas * ring.std;
+        return inner > 0 ? [toLatLngs(outer), toLatLngs(inner)] : [toLatLngs(outer)];
+    }
+
+    /**
+     * Render confidence ellipses of the device positions
+     * Range-only results are skipped, their ring already shows the uncertainty.
+     * @param {array} devices - Device position array
+     */
+    function renderUncertaintyEllipses(devices) {
+        ellipseLayer.clearLayers();
+
+        devices.forEach(device => {
+            if (device.resultType === 'range') return;
+
+            const axes = getEllipseAxes(device.covariance, ELLIPSE_CONFIG.confidence);
+            if (!axes || axes.major === 0) return;
+
+            const color = getQualityColor(device.qualityLevel);
+            ellipseLayer.addLayer(L.polygon(getEllipseLatLngs(device.lat, device.lng, axes), {
+                color: color,
+                weight: 1,
+                fillColor: color,
+                fillOpacity: 0.1,
+                interactive: false
+            }));
+        });
+    }
+
+    /**
+     * Set the probability level of the uncertainty ellipses
+     * @param {number} confidence - e.g. 0.68 or 0.95
+     */
+    function setEllipseConfidence(confidence) {
+        if (confidence > 0 && confidence < 1) {
+            ELLIPSE_CONFIG.confidence = confidence;
+        }
+    }
+
+    /**
+     * Get the probability level of the uncertainty ellipses
+     * @returns {number}
+     */
+    function getEllipseConfidence() {
+        return ELLIPSE_CONFIG.confidence;
     }
 
     /**
@@ -130,12 +497,41 @@ const MapLayers = (function () {
         deviceMarkers.clear();
 
         devices.forEach(device => {
-            const color = getQualityColor(device.qualityLevel);
+            const marker = addDeviceMarkers(device, deviceLayer);
+            marker.deviceData = device;
+            deviceMarkers.set(device.macHashed, marker);
+        });
+
+        renderUncertaintyEllipses(devices);
+        renderComparison(devices, comparisonLayer);
 
-            // Fixed radius for all devices - uniform size
-            const radius = 10;
+        // Update statistics
+        updateStatistics(devices);
+    }
 
-            const marker = L.circleMarker([device.lat, device.lng], {
+    /**
+     * Add the marker of a device (and its mirror candidate) to a layer
+     * @param {object} device - Device position object from Lateration
+     * @param {L.LayerGroup} layer - Target layer
+     * @returns {L.Layer} The device marker
+     */
+    function addDeviceMarkers(device, layer) {
+        const color = getQualityColor(device.qualityLevel);
+
+        // Fixed radius for all devices - uniform size, uncertainty is shown by the ellipse layer
+        const radius = 10;
+        const isRange = device.resultType === 'range' && device.ring;
+        const axes = isRange ? null : getEllipseAxes(device.covariance, ELLIPSE_CONFIG.confidence);
+
+        // Range-only results: annulus around the sensor, no point marker
+        const marker = isRange ?
+            L.polygon(getRingLatLngs(device.ring), {
+                color: color,
+                weight: 1,
+                fillColor: color,
+                fillOpacity: 0.2
+            }) :
+            L.circleMarker([device.lat, device.lng], {
                 radius: radius,
                 fillColor: color,
                 fillOpacity: 0.8,
@@ -143,48 +539,232 @@ const MapLayers = (function () {
                 weight: 2
             });
 
-            // Tooltip content - show sensor-based quality level
-            const qualityClass = `quality-${device.qualityLevel}`;
-            const qualityText = device.sensorCount >= 3 ? 'High (≥3 sensors)' :
-                device.sensorCount === 2 ? 'Medium (2 sensors)' :
-                    'Low (1 sensor)';
-            const tooltipContent = `
-                <div class="device-popup-title">📱 Device</div>
-                <div class="popup-row">
-                    <span class="popup-label">MAC:</span>
-                    <span>${device.macHashed.substring(0, 12)}...</span>
-                </div>
-                <div class="popup-row">
-                    <span class="popup-label">Position:</span>
-                    <span>${device.lat.toFixed(6)}, ${device.lng.toFixed(6)}</span>
-                </div>
-                <div class="popup-row">
-                    <span class="popup-label">Sensors:</span>
-                    <span>${device.sensorCount}</span>
-                </div>
-                <div class="popup-row">
-                    <span class="popup-label">Quality:</span>
-                    <span class="${qualityClass}">${qualityText}</span>
-                </div>
-            `;
+        // Tooltip content - show quality level
+        const qualityClass = `quality-${device.qualityLevel}`;
+        const qualityText = getQualityText(device);
+        const tooltipContent = `
+            <div class="device-popup-title">📱 Device</div>
+            <div class="popup-row">
+                <span class="popup-label">MAC:</span>
+                <span>${device.macHashed.substring(0, 12)}...</span>
+            </div>
+            <div class="popup-row">
+                <span class="popup-label">${isRange ? 'Range:' : 'Position:'}</span>
+                <span>${isRange ?
+                    `${device.ring.radius.toFixed(1)} ± ${(RING_CONFIG.sigmas * device.ring.std).toFixed(1)}m from ${device.observations[0].sensor_id}` :
+                    `${device.lat.toFixed(6)}, ${device.lng.toFixed(6)}`}</span>
+            </div>
+            <div class="popup-row">
+                <span class="popup-label">Sensors:</span>
+                <span>${device.sensorCount}</span>
+            </div>
+            <div class="popup-row">
+                <span class="popup-label">Quality:</span>
+                <span class="${qualityClass}">${qualityText}</span>
+            </div>
+            ${axes ? `
+            <div class="popup-row">
+                <span class="popup-label">Uncertainty:</span>
+                <span>${axes.major.toFixed(1)} × ${axes.minor.toFixed(1)}m (${Math.round(ELLIPSE_CONFIG.confidence * 100)}%)</span>
+            </div>` : ''}
+        `;
 
-            marker.bindTooltip(tooltipContent, {
+        marker.bindTooltip(tooltipContent, {
+            direction: 'top',
+            offset: [0, -10]
+        });
+
+        // Click handler for debug mode
+        marker.on('click', function () {
+            showDeviceDetail(device);
+        });
+
+        layer.addLayer(marker);
+
+        // Two-sensor fix without a decisive prior: the marker sits between
+        // both mirror candidates, which are shown as ghosts
+        (device.ghosts || []).forEach(ghost => {
+            const ghostMarker = L.circleMarker([ghost.lat, ghost.lng], {
+                radius: radius,
+                color: color,
+                weight: 2,
+                dashArray: '4, 3',
+                fill: false
+            });
+            ghostMarker.bindTooltip('Candidate position (two sensors, ambiguous)', {
                 direction: 'top',
                 offset: [0, -10]
             });
+            ghostMarker.on('click', function () {
+                showDeviceDetail(device);
+            });
+            layer.addLayer(ghostMarker);
+        });
+
+        return marker;
+    }
+
+    /**
+     * Draw raw (unfiltered) positions connected to the filtered ones
+     * Only devices whose position was changed by a filter are drawn.
+     * @param {array} devices - Device position array
+     * @param {L.LayerGroup} layer - Target layer
+     */
+    function renderComparison(devices, layer) {
+        layer.clearLayers();
+
+        devices.forEach(device => {
+            if (!device.isSmoothed || device.resultType === 'range') return;
+            if (isNaN(device.rawLat) || isNaN(device.rawLng)) return;
+
+            const color = getQualityColor(device.qualityLevel);
+            const offset = Lateration.gpsToMeters(device.rawLat, device.rawLng, device.lat, device.lng);
+            const shift = Math.sqrt(offset.x * offset.x + offset.y * offset.y);
 
-            // Click handler for debug mode
-            marker.on('click', function () {
+            layer.addLayer(L.polyline([[device.rawLat, device.rawLng], [device.lat, device.lng]], {
+                color: color,
+                weight: 2,
+                opacity: 0.8,
+                dashArray: '2, 4',
+                interactive: false
+            }));
+
+            const rawMarker = L.circleMarker([device.rawLat, device.rawLng], {
+                radius: 5,
+                color: color,
+                weight: 2,
+                fillColor: color,
+                fillOpacity: 0.2
+            });
+            rawMarker.bindTooltip(`Raw position (${device.filterMode}: ${shift.toFixed(1)}m shift)`, {
+                direction: 'top',
+                offset: [0, -6]
+            });
+            rawMarker.on('click', function () {
                 showDeviceDetail(device);
             });
+            layer.addLayer(rawMarker);
+        });
+    }
 
-            marker.deviceData = device;
-            deviceMarkers.set(device.macHashed, marker);
-            deviceLayer.addLayer(marker);
+    /**
+     * Attach the second map of the split view
+     * Sensors and devices are drawn on it as well, pan and zoom follow the main map.
+     * @param {L.Map} map - Leaflet map instance for the comparison side
+     */
+    function initCompareMap(map) {
+        compareMap = map;
+        compareSensorLayer = L.layerGroup().addTo(map);
+        compareDeviceLayer = L.layerGroup().addTo(map);
+        compareComparisonLayer = L.layerGroup();
+        if (comparisonVisible) {
+            map.addLayer(compareComparisonLayer);
+        }
+
+        // Keep both maps on the same view
+        let syncing = false;
+        const follow = (source, target) => {
+            source.on('move', function () {
+                if (syncing) return;
+                syncing = true;
+                target.setView(source.getCenter(), source.getZoom(), { animate: false });
+                syncing = false;
+            });
+        };
+        follow(mapInstance, map);
+        follow(map, mapInstance);
+        map.setView(mapInstance.getCenter(), mapInstance.getZoom(), { animate: false });
+
+        // Label with the estimator of this side
+        compareLabel = L.control({ position: 'topleft' });
+        compareLabel.onAdd = function () {
+            const div = L.DomUtil.create('div', 'compare-map-label');
+            return div;
+        };
+        compareLabel.addTo(map);
+
+        renderCompareSensors();
+    }
+
+    /**
+     * Render sensors on the split view map
+     */
+    function renderCompareSensors() {
+        compareSensorLayer.clearLayers();
+        currentSensors.forEach((sensor, id) => {
+            compareSensorLayer.addLayer(createSensorMarker(sensor, id));
         });
+    }
 
-        // Update statistics
-        updateStatistics(devices);
+    /**
+     * Render device positions on the split view map
+     * @param {array} devices - Device position array (computed for the comparison view)
+     */
+    function renderCompareDevices(devices) {
+        if (!compareMap) return;
+
+        compareDeviceLayer.clearLayers();
+        devices.forEach(device => addDeviceMarkers(device, compareDeviceLayer));
+        renderComparison(devices, compareComparisonLayer);
+    }
+
+    /**
+     * Set the label text of the split view map
+     * @param {string} text - e.g. the estimator name
+     */
+    function setCompareMapLabel(text) {
+        if (compareLabel && compareLabel.getContainer()) {
+            compareLabel.getContainer().textContent = text;
+        }
+    }
+
+    /**
+     * Format a GDOP value for display
+     * @param {number} gdop - Geometric dilution of precision
+     * @returns {string}
+     */
+    function formatGdop(gdop) {
+        return typeof gdop === 'number' && isFinite(gdop) ? gdop.toFixed(1) : '∞';
+    }
+
+    /**
+     * Short quality description following the active quality rule
+     * @param {object} device - Device position object
+     * @returns {string} e.g. 'High (GDOP 1.4, RMS 0.8m)' or 'Medium (2 sensors)'
+     */
+    function getQualityText(device) {
+        const level = device.qualityLevel.charAt(0).toUpperCase() + device.qualityLevel.slice(1);
+
+        if (Lateration.getQualityMode() === 'sensorCount') {
+            return device.sensorCount >= 3 ? `${level} (≥3 sensors)` :
+                device.sensorCount === 2 ? `${level} (2 sensors)` :
+                    `${level} (1 sensor)`;
+        }
+
+        if (device.sensorCount < 2) {
+            return `${level} (1 sensor)`;
+        }
+        return `${level} (GDOP ${formatGdop(device.gdop)}, RMS ${(device.residualRms || 0).toFixed(1)}m)`;
+    }
+
+    /**
+     * Update legend labels to the active quality rule
+     */
+    function updateQualityLegend() {
+        const config = Lateration.QUALITY_CONFIG;
+        const labels = config.mode === 'sensorCount' ? {
+            high: 'High Quality (3+ sensors)',
+            medium: 'Medium Quality (2 sensors)',
+            low: 'Low Quality (1 sensor)'
+        } : {
+            high: `High (GDOP ≤ ${config.highMaxGdop}, RMS ≤ ${config.highMaxResidual}m)`,
+            medium: `Medium (GDOP ≤ ${config.mediumMaxGdop}, RMS ≤ ${config.mediumMaxResidual}m)`,
+            low: 'Low (weak geometry or 1 sensor)'
+        };
+
+        document.getElementById('legend-high').textContent = labels.high;
+        document.getElementById('legend-medium').textContent = labels.medium;
+        document.getElementById('legend-low').textContent = labels.low;
     }
 
     /**
@@ -221,16 +801,30 @@ const MapLayers = (function () {
             contributionHTML += `
                 <div class="contribution-item">
                     <div><strong>${obs.sensor_id}</strong></div>
-                    <div>Distance: ${obs.distance.toFixed(1)}m</div>
+                    <div>Distance: ${obs.distance.toFixed(1)}m${typeof obs.slant_distance === 'number' ? ` (slant ${obs.slant_distance.toFixed(1)}m)` : ''}</div>
                     <div>RSSI: ${obs.rssi} dBm</div>
                 </div>
             `;
         });
 
+        // Ranges rejected as outliers (robust mode)
+        let excludedHTML = '';
+        (device.rejectedObservations || []).forEach(obs => {
+            excludedHTML += `
+                <div class="contribution-item excluded">
+                    <div><strong>${obs.sensor_id}</strong></div>
+                    <div>Distance: ${obs.distance.toFixed(1)}m</div>
+                    <div>Residual: ${obs.residual.toFixed(1)}m</div>
+                </div>
+            `;
+        });
+
         // Quality text based on sensor count
-        const qualityText = device.sensorCount >= 3 ? 'HIGH (≥3 sensors - true lateration)' :
-            device.sensorCount === 2 ? 'MEDIUM (2 sensors - estimated midpoint)' :
-                'LOW (1 sensor - at sensor position)';
+        const qualityText = Lateration.getQualityMode() === 'sensorCount' ?
+            (device.sensorCount >= 3 ? 'HIGH (≥3 sensors - true lateration)' :
+                device.sensorCount === 2 ? 'MEDIUM (2 sensors - estimated midpoint)' :
+                    'LOW (1 sensor - at sensor position)') :
+            getQualityText(device).toUpperCase();
 
         body.innerHTML = `
             <div class="device-info">
@@ -239,22 +833,42 @@ const MapLayers = (function () {
                     <span class="device-info-value">${device.macHashed}</span>
                 </div>
                 <div class="device-info-row">
-                    <span class="device-info-label">Estimated Position:</span>
-                    <span class="device-info-value">${device.lat.toFixed(6)}, ${device.lng.toFixed(6)}</span>
+                    <span class="device-info-label">${device.resultType === 'range' ? 'Range Only:' : 'Estimated Position:'}</span>
+                    <span class="device-info-value">${device.resultType === 'range' ?
+                        `${device.ring.radius.toFixed(1)} ± ${(RING_CONFIG.sigmas * device.ring.std).toFixed(1)}m around ${device.lat.toFixed(6)}, ${device.lng.toFixed(6)}` :
+                        `${device.lat.toFixed(6)}, ${device.lng.toFixed(6)}`}</span>
                 </div>
                 <div class="device-info-row">
                     <span class="device-info-label">Sensors Used:</span>
                     <span class="device-info-value">${device.sensorCount}</span>
                 </div>
+                ${device.candidates && device.candidates.length === 2 ? `
+                <div class="device-info-row">
+                    <span class="device-info-label">Mirror Candidate:</span>
+                    <span class="device-info-value">${device.ambiguous ? 'ambiguous (both shown)' : `chosen by ${device.candidateMethod}`}</span>
+                </div>` : ''}
                 <div class="device-info-row">
                     <span class="device-info-label">Quality:</span>
                     <span class="device-info-value quality-${device.qualityLevel}">${qualityText}</span>
                 </div>
+                <div class="device-info-row">
+                    <span class="device-info-label">GDOP:</span>
+                    <span class="device-info-value">${formatGdop(device.gdop)}</span>
+                </div>
+                <div class="device-info-row">
+                    <span class="device-info-label">Residual RMS:</span>
+                    <span class="device-info-value">${(device.residualRms || 0).toFixed(2)}m</span>
+                </div>
             </div>
             <div class="sensor-contributions">
                 <h4>[MQTT] Sensor Contributions</h4>
                 ${contributionHTML}
             </div>
+            ${excludedHTML ? `
+            <div class="sensor-contributions">
+                <h4>Excluded Contributions (Outliers)</h4>
+                ${excludedHTML}
+            </div>` : ''}
         `;
 
         modal.style.display = 'flex';
@@ -272,6 +886,9 @@ const MapLayers = (function () {
     function drawDeviceConnections(device) {
         connectionLines.clearLayers();
 
+        // Range-only: the device is not at a point, the ring is the connection
+        if (device.resultType === 'range') return;
+
         device.observations.forEach(obs => {
             const line = L.polyline(
                 [[device.lat, device.lng], [obs.sensor_lat, obs.sensor_lng]],
@@ -354,6 +971,32 @@ const MapLayers = (function () {
         });
     }
 
+    /**
+     * Render particle clouds of devices estimated by the particle filter
+     * @param {array} devices - Device position array
+     */
+    function renderParticles(devices) {
+        particleLayer.clearLayers();
+
+        devices.forEach(device => {
+            if (!device.particles) return;
+
+            const color = getQualityColor(device.qualityLevel);
+            const maxWeight = device.particles.reduce((max, p) => Math.max(max, p.weight), 0) || 1;
+
+            device.particles.forEach(p => {
+                particleLayer.addLayer(L.circleMarker([p.lat, p.lng], {
+                    renderer: canvasRenderer,
+                    radius: 2,
+                    stroke: false,
+                    fillColor: color,
+                    fillOpacity: 0.15 + 0.6 * (p.weight / maxWeight),
+                    interactive: false
+                }));
+            });
+        });
+    }
+
     /**
      * Update heatmap layer with device positions
      * @param {L.Map} map - Leaflet map instance  
@@ -367,9 +1010,9 @@ const MapLayers = (function () {
 
         if (devices.length === 0) return;
 
-        // Create heat data points
+        // Create heat data points (range-only results have no position)
         // Format: [lat, lng, intensity]
-        const heatData = devices.map(device => {
+        const heatData = devices.filter(device => device.resultType !== 'range').map(device => {
             // Intensity based on confidence
             const intensity = device.confidence * 0.8 + 0.2;
             return [device.lat, device.lng, intensity];
@@ -397,7 +1040,7 @@ const MapLayers = (function () {
     /**
      * Toggle layer visibility
      * @param {L.Map} map - Leaflet map
-     * @param {string} layerType - 'sensors', 'devices', 'debug', 'heatmap'
+     * @param {string} layerType - 'sensors', 'devices', 'ellipses', 'coverage', 'comparison', 'debug', 'particles', 'heatmap'
      * @param {boolean} visible - Whether to show the layer
      */
     function toggleLayer(map, layerType, visible) {
@@ -418,6 +1061,35 @@ const MapLayers = (function () {
                 }
                 break;
 
+            case 'ellipses':
+                if (visible) {
+                    map.addLayer(ellipseLayer);
+                } else {
+                    map.removeLayer(ellipseLayer);
+                }
+                break;
+
+            case 'coverage':
+                coverageVisible = visible;
+                if (visible) {
+                    renderCoverage();
+                    map.addLayer(coverageLayer);
+                } else {
+                    map.removeLayer(coverageLayer);
+                }
+                break;
+
+            case 'comparison':
+                comparisonVisible = visible;
+                if (visible) {
+                    map.addLayer(comparisonLayer);
+                    if (compareMap) compareMap.addLayer(compareComparisonLayer);
+                } else {
+                    map.removeLayer(comparisonLayer);
+                    if (compareMap) compareMap.removeLayer(compareComparisonLayer);
+                }
+                break;
+
             case 'debug':
                 if (visible) {
                     map.addLayer(debugLayer);
@@ -429,6 +1101,14 @@ const MapLayers = (function () {
                 }
                 break;
 
+            case 'particles':
+                if (visible) {
+                    map.addLayer(particleLayer);
+                } else {
+                    map.removeLayer(particleLayer);
+                }
+                break;
+
             case 'heatmap':
                 if (heatmapLayer) {
                     if (visible) {
@@ -449,6 +1129,16 @@ const MapLayers = (function () {
         deviceLayer.clearLayers();
         debugLayer.clearLayers();
         connectionLines.clearLayers();
+        particleLayer.clearLayers();
+        ellipseLayer.clearLayers();
+        coverageLayer.clearLayers();
+        comparisonLayer.clearLayers();
+
+        if (compareMap) {
+            compareSensorLayer.clearLayers();
+            compareDeviceLayer.clearLayers();
+            compareComparisonLayer.clearLayers();
+        }
 
         if (heatmapLayer) {
             heatmapLayer.setLatLngs([]);
@@ -481,13 +1171,27 @@ const MapLayers = (function () {
         renderSensors,
         renderDevices,
         renderDebugCircles,
+        renderParticles,
+        renderUncertaintyEllipses,
+        renderComparison,
+        initCompareMap,
+        renderCompareDevices,
+        setCompareMapLabel,
+        setEllipseConfidence,
+        getEllipseConfidence,
+        renderCoverage,
+        addVirtualSensor,
+        clearVirtualSensors,
+        setWhatIfEnabled,
         updateHeatmap,
         toggleLayer,
         clearAll,
         getSensorBounds,
+        updateQualityLegend,
         showDeviceDetail,
         drawDeviceConnections,
         clearConnections,
-        getQualityColor
+        getQualityColor,
+        RING_CONFIG
     };
 })();
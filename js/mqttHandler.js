@@ -17,25 +17,56 @@ const MqttHandler = (function () {
     let connectionMode = 'direct'; // 'direct' or 'proxy'
 
     // Sensor tracking
-    let knownSensors = new Map();      // sensorId -> { lat, lng } or null
+    let knownSensors = new Map();      // sensorId -> { lat, lng, height? } or null
     let unassignedSensors = new Set(); // Sensors without GPS
     let dataQueue = [];                 // Queue messages until GPS assigned
 
+    // Queued messages kept for sensors without GPS (oldest are dropped)
+    const MAX_QUEUED_MESSAGES = 5000;
+
     // Callbacks
     let onMessageCallback = null;
     let onSensorDiscoveredCallback = null;
     let onConnectionChangeCallback = null;
+    let onProxyErrorCallback = null;
+    let onPositionsCallback = null;
+    let onServerSensorsCallback = null;
 
     // Default proxy URL
     const DEFAULT_PROXY_URL = 'ws://localhost:3001';
 
+    // Close code of the proxy for missing or wrong credentials
+    const PROXY_CLOSE_UNAUTHORIZED = 4401;
+
+    /**
+     * Add proxy credentials to the WebSocket URL
+     * Browsers cannot set headers on the upgrade request, the proxy reads them from the query.
+     * @param {string} proxyUrl - WebSocket URL
+     * @param {object} credentials - { token } or { user, password }
+     * @returns {string} URL with credentials
+     */
+    function withCredentials(proxyUrl, credentials) {
+        const url = new URL(proxyUrl);
+        if (credentials.user) {
+            url.searchParams.set('user', credentials.user);
+            url.searchParams.set('password', credentials.password || '');
+        } else if (credentials.token) {
+            url.searchParams.set('token', credentials.token);
+        }
+        return url.toString();
+    }
+
     /**
      * Connect via local proxy server (for VCR broker)
      * @param {string} proxyUrl - WebSocket URL to proxy (default: ws://localhost:3001)
-     * @param {string} topic - Optional topic to request from proxy
-     * @returns {Promise}
+     * @param {string} topic - Optional topic filter(s) to request from proxy, comma-separated
+     *                         (per client, other clients of the proxy keep their topics)
+     * @param {object} credentials - Optional { token } or { user, password } for proxies with authentication
+     * @param {object} options - { feed: 'raw' (default) or 'positions' }
+     *                           'positions': positions computed by the proxy instead of raw ranges
+     * @returns {Promise} Rejects with an authentication error if the proxy refuses the credentials
      */
-    function connectViaProxy(proxyUrl = DEFAULT_PROXY_URL, topic = '') {
+    function connectViaProxy(proxyUrl = DEFAULT_PROXY_URL, topic = '', credentials = {}, options = {}) {
         return new Promise((resolve, reject) => {
             if (isConnectedState) {
                 disconnect();
@@ -45,25 +76,32 @@ const MqttHandler = (function () {
             console.log(`ðŸ”Œ Connecting to MQTT proxy: ${proxyUrl}`);
 
             try {
-                proxySocket = new WebSocket(proxyUrl);
+                // The feed is chosen on connect, positions clients never receive raw messages
+                const socketUrl = new URL(withCredentials(proxyUrl, credentials));
+                if (options.feed === 'positions') {
+                    socketUrl.searchParams.set('feed', 'positions');
+                }
+                proxySocket = new WebSocket(socketUrl.toString());
+
+                // The proxy accepts the client with its first status message;
+                // refused credentials close the socket right after opening
+                let accepted = false;
 
                 proxySocket.onopen = () => {
-                    console.log('[OK] Connected to MQTT proxy server');
-                    isConnectedState = true;
+                    // Positions are computed from the proxy's own topic
+                    if (options.feed === 'positions') {
+                        return;
+                    }
 
-                    // Request specific topic if provided
-                    if (topic) {
+                    // Request specific topics if provided (replaces the proxy's default topic)
+                    const topics = topic.split(',').map(t => t.trim()).filter(t => t);
+                    if (topics.length > 0) {
                         proxySocket.send(JSON.stringify({
                             command: 'subscribe',
-                            topic: topic
+                            topics: topics
                         }));
-                        currentTopic = topic;
-                    }
-
-                    if (onConnectionChangeCallback) {
-                        onConnectionChangeCallback(true);
+                        currentTopic = topics.join(', ');
                     }
-                    resolve({ success: true, mode: 'proxy' });
                 };
 
                 proxySocket.onmessage = (event) => {
@@ -75,21 +113,54 @@ const MqttHandler = (function () {
                             if (message.topic) {
                                 currentTopic = message.topic;
                             }
+
+                            if (!accepted) {
+                                accepted = true;
+                                console.log('[OK] Connected to MQTT proxy server');
+                                isConnectedState = true;
+                                if (onConnectionChangeCallback) {
+                                    onConnectionChangeCallback(true);
+                                }
+                                resolve({ success: true, mode: 'proxy' });
+                            }
                         } else if (message.type === 'message') {
                             // Process the MQTT message from proxy
-                            onProxyMessageReceived(message);
+                            handleProxyMessage(message);
+                        } else if (message.type === 'positions') {
+                            if (onPositionsCallback) {
+                                onPositionsCallback(message.timestamp, message.devices);
+                            }
+                        } else if (message.type === 'sensors') {
+                            if (onServerSensorsCallback) {
+                                onServerSensorsCallback(message.sensors);
+                            }
                         } else if (message.type === 'error') {
                             console.error('âŒ Proxy error:', message.error);
+                            // Refused topics or commands, features the proxy does not offer
+                            // (e.g. positions without --sensors, raw messages are sent instead)
+                            if ((message.code === 'forbidden' || message.code === 'unavailable') && onProxyErrorCallback) {
+                                onProxyErrorCallback(message.error);
+                            }
                         }
                     } catch (error) {
                         console.error('Error parsing proxy message:', error);
                     }
                 };
 
-                proxySocket.onclose = () => {
+                proxySocket.onclose = (event) => {
                     console.log('ðŸ”Œ Proxy connection closed');
                     isConnectedState = false;
                     proxySocket = null;
+
+                    if (!accepted) {
+                        if (event.code === PROXY_CLOSE_UNAUTHORIZED) {
+                            const authError = new Error('Proxy authentication failed. Check token or user/password.');
+                            authError.code = 'unauthorized';
+                            reject(authError);
+                        } else {
+                            reject(new Error('Failed to connect to proxy server. Is it running?'));
+                        }
+                    }
                     if (onConnectionChangeCallback) {
                         onConnectionChangeCallback(false);
                     }
@@ -113,8 +184,10 @@ const MqttHandler = (function () {
 
     /**
      * Handle message received from proxy server
+     * Also used by the proxy's lateration service, which parses with this module.
+     * @param {object} message - { topic, data }
      */
-    function onProxyMessageReceived(message) {
+    function handleProxyMessage(message) {
         try {
             const data = message.data;
             const topic = message.topic;
@@ -164,14 +237,14 @@ const MqttHandler = (function () {
             // If sensor has GPS, process immediately
             const sensorGps = knownSensors.get(sensorId);
             if (sensorGps) {
-                parsedEntry.gps = [sensorGps.lat, sensorGps.lng];
+                parsedEntry.gps = toGpsArray(sensorGps);
 
                 if (onMessageCallback) {
                     onMessageCallback(parsedEntry);
                 }
             } else {
                 // Queue for later processing
-                dataQueue.push({ sensorId, entry: parsedEntry });
+                queueEntry(sensorId, parsedEntry);
             }
 
         } catch (error) {
@@ -215,11 +288,15 @@ const MqttHandler = (function () {
             }
 
             // Extract device data from payload
+            // RSSI-only firmware: distance is derived with the path-loss model
             const mac = payloadData.mac;
-            const distance = payloadData.distance;
+            const deviceReading = mac
+                ? DataHandler.createDeviceReading(sensorId, { mac_hashed: mac, mac: mac, distance: payloadData.distance, rssi: payloadData.rssi }, DataHandler.RSSI_DEFAULTS.singleReading)
+                : null;
+            const distance = deviceReading ? deviceReading.distance : null;
             const time = payloadData.time;
 
-            if (!mac || typeof distance !== 'number') {
+            if (distance === null) {
                 console.warn('ðŸ“ Invalid payload data:', payloadData);
                 return;
             }
@@ -237,14 +314,6 @@ const MqttHandler = (function () {
                 }
             }
 
-            // Create device reading
-            const deviceReading = {
-                mac_hashed: mac,
-                mac: mac,
-                distance: distance,
-                rssi: payloadData.rssi || -70
-            };
-
             // Use entry timestamp or convert Unix time
             let timestamp = data.timestamp;
             if (!timestamp && time) {
@@ -262,14 +331,14 @@ const MqttHandler = (function () {
             // If sensor has GPS, process immediately
             const sensorGps = knownSensors.get(sensorId);
             if (sensorGps) {
-                parsedEntry.gps = [sensorGps.lat, sensorGps.lng];
+                parsedEntry.gps = toGpsArray(sensorGps);
 
                 if (onMessageCallback) {
                     onMessageCallback(parsedEntry);
                 }
             } else {
                 // Queue for later processing
-                dataQueue.push({ sensorId, entry: parsedEntry });
+                queueEntry(sensorId, parsedEntry);
             }
 
         } catch (error) {
@@ -463,14 +532,14 @@ const MqttHandler = (function () {
             // If sensor has GPS, process immediately
             const sensorGps = knownSensors.get(sensorId);
             if (sensorGps) {
-                parsedEntry.gps = [sensorGps.lat, sensorGps.lng];
+                parsedEntry.gps = toGpsArray(sensorGps);
 
                 if (onMessageCallback) {
                     onMessageCallback(parsedEntry);
                 }
             } else {
                 // Queue for later processing
-                dataQueue.push({ sensorId, entry: parsedEntry });
+                queueEntry(sensorId, parsedEntry);
             }
 
         } catch (error) {
@@ -492,30 +561,28 @@ const MqttHandler = (function () {
         let validDevices = [];
 
         // Check for VCR bttracker format (single device in value)
-        if (value && value.mac && typeof value.distance === 'number') {
+        const vcrReading = value && value.mac
+            ? DataHandler.createDeviceReading(deviceKey, { mac_hashed: value.mac, mac: value.mac, distance: value.distance, rssi: value.rssi }, DataHandler.RSSI_DEFAULTS.singleReading)
+            : null;
+        const vcrDistance = vcrReading ? vcrReading.distance : null;
+        if (vcrDistance !== null) {
             // VCR SIMPlexMQ bttracker distance format
             // { "value": { "mac": "hashed_mac", "distance": 2.659, "deviceName": "..." } }
             // Note: MACs are now received already hashed from the broker
-            validDevices.push({
-                mac_hashed: value.mac,
-                mac: value.mac,
-                deviceName: value.deviceName || null,
-                rssi: typeof value.rssi === 'number' ? value.rssi : -70,
-                distance: value.distance
-            });
-            console.log(`ðŸ“¡ VCR bttracker: Device ${value.mac.substring(0, 8)}... at ${value.distance.toFixed(2)}m`);
+            validDevices.push({ ...vcrReading, deviceName: value.deviceName || null });
+            console.log(`ðŸ“¡ VCR bttracker: Device ${value.mac.substring(0, 8)}... at ${vcrDistance.toFixed(2)}m`);
         }
         // Check for original format with devices array
         else if (value.devices && Array.isArray(value.devices)) {
             // Note: MACs are now received already hashed from the broker
             validDevices = value.devices
                 .filter(d => d && (d.mac_hashed || d.mac))
-                .map(d => ({
-                    mac_hashed: d.mac_hashed || d.mac,
-                    mac: d.mac || null,
-                    rssi: typeof d.rssi === 'number' ? d.rssi : -100,
-                    distance: d.distance_m || d.distance || 0
-                }));
+                .map(d => DataHandler.createDeviceReading(
+                    deviceKey,
+                    { ...d, mac_hashed: d.mac_hashed || d.mac },
+                    DataHandler.RSSI_DEFAULTS.deviceList
+                ))
+                .filter(d => d.distance !== null);
         }
 
         return {
@@ -526,16 +593,39 @@ const MqttHandler = (function () {
         };
     }
 
+    /**
+     * Queue an entry until its sensor has GPS
+     * @param {string} sensorId - Sensor identifier
+     * @param {object} entry - Parsed entry
+     */
+    function queueEntry(sensorId, entry) {
+        dataQueue.push({ sensorId, entry });
+        if (dataQueue.length > MAX_QUEUED_MESSAGES) {
+            dataQueue.shift();
+        }
+    }
+
     // Note: hashMac function removed - MACs are now received pre-hashed from broker
 
+    /**
+     * Internal gps array of an entry: [lat, lng] or [lat, lng, mount height]
+     * @param {object} coords - { lat, lng, height? }
+     * @returns {array}
+     */
+    function toGpsArray(coords) {
+        return typeof coords.height === 'number' ? [coords.lat, coords.lng, coords.height] : [coords.lat, coords.lng];
+    }
+
     /**
      * Assign GPS coordinates to a sensor
      * @param {string} sensorId - Sensor identifier
      * @param {number} lat - Latitude
      * @param {number} lng - Longitude
+     * @param {number} height - Mount height above ground in meters (optional)
      */
-    function assignSensorGps(sensorId, lat, lng) {
-        knownSensors.set(sensorId, { lat, lng });
+    function assignSensorGps(sensorId, lat, lng, height) {
+        const coords = typeof height === 'number' ? { lat, lng, height } : { lat, lng };
+        knownSensors.set(sensorId, coords);
         unassignedSensors.delete(sensorId);
 
         console.log(`ðŸ“ GPS assigned to ${sensorId}: ${lat}, ${lng}`);
@@ -545,7 +635,7 @@ const MqttHandler = (function () {
         dataQueue = dataQueue.filter(q => q.sensorId !== sensorId);
 
         pendingMessages.forEach(({ entry }) => {
-            entry.gps = [lat, lng];
+            entry.gps = toGpsArray(coords);
             if (onMessageCallback) {
                 onMessageCallback(entry);
             }
@@ -602,6 +692,31 @@ const MqttHandler = (function () {
         onConnectionChangeCallback = callback;
     }
 
+    /**
+     * Set callback for refused proxy requests (topics or commands not allowed,
+     * features the proxy does not offer)
+     * @param {function} callback - Called with the error text
+     */
+    function onProxyError(callback) {
+        onProxyErrorCallback = callback;
+    }
+
+    /**
+     * Set callback for positions computed by the proxy ('positions' feed)
+     * @param {function} callback - Called with (timestamp, devices)
+     */
+    function onPositions(callback) {
+        onPositionsCallback = callback;
+    }
+
+    /**
+     * Set callback for the proxy's sensor coordinates ('positions' feed)
+     * @param {function} callback - Called with [{ id, lat, lng, height }]
+     */
+    function onServerSensors(callback) {
+        onServerSensorsCallback = callback;
+    }
+
     /**
      * Clear all sensor data
      */
@@ -640,6 +755,10 @@ const MqttHandler = (function () {
         onMessage,
         onSensorDiscovered,
         onConnectionChange,
+        onProxyError,
+        onPositions,
+        onServerSensors,
+        handleProxyMessage,
         clearSensors,
         getTopic
     };
@@ -0,0 +1,294 @@
+/**
+ * ============================================================
+ * Path Loss Module
+ * ============================================================
+ * Log-distance path-loss model for deriving distance from RSSI.
+ *
+ *   RSSI(d) = txPower - 10 · n · log10(d)
+ *   d       = 10 ^ ((txPower - RSSI) / (10 · n))
+ *
+ * txPower is the RSSI at 1 m, n is the path-loss exponent (2 in free
+ * space, higher indoors). Both can be set per sensor and are persisted
+ * in localStorage, together with the mode. Some firmware only reports
+ * RSSI, so every reading is resolved through resolveDistance(); DataHandler
+ * does this when a window is read, so mode or parameter changes apply to
+ * loaded data.
+ *
+ * Modes:
+ * - 'reported': use the reported distance, RSSI only when it is missing
+ * - 'rssi':     always use the RSSI-derived distance when RSSI is present
+ * - 'fused':    inverse-variance weighted mean of both
+ */
+
+const PathLoss = (function () {
+    const STORAGE_KEY = 'smo_path_loss_parameters';
+    const MODE_STORAGE_KEY = 'smo_path_loss_mode';
+
+    // In-memory copy, resolveDistance() runs for every reading
+    let cachedParams = null;
+
+    // Model parameters used for sensors without their own calibration
+    const PATH_LOSS_CONFIG = {
+        // RSSI at 1 m (dBm)
+        txPower: -59,
+
+        // Path-loss exponent
+        exponent: 2.0,
+
+        // Shadowing noise of a single RSSI reading (dB)
+        rssiStdDb: 4.0,
+
+        // Standard deviation of a reported distance (m)
+        reportedStd: 1.5,
+
+        // 'reported', 'rssi' or 'fused'
+        mode: 'reported'
+    };
+
+    /**
+     * Load all stored per-sensor parameters
+     * @returns {object} Map of sensor_id -> { txPower, exponent }
+     */
+    function loadAll() {
+        if (cachedParams) {
+            return { ...cachedParams };
+        }
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            cachedParams = stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('Failed to load path-loss parameters:', e);
+            cachedParams = {};
+        }
+        return { ...cachedParams };
+    }
+
+    /**
+     * Save all per-sensor parameters
+     * @param {object} paramMap - Map of sensor_id -> { txPower, exponent }
+     */
+    function saveAll(paramMap) {
+        cachedParams = { ...paramMap };
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(paramMap));
+            console.log('[PathLoss] Saved parameters for', Object.keys(paramMap).length, 'sensors');
+        } catch (e) {
+            console.error('Failed to save path-loss parameters:', e);
+        }
+    }
+
+    /**
+     * Get model parameters for a sensor (falls back to the defaults)
+     * @param {string} sensorId - Sensor identifier
+     * @returns {object} { txPower, exponent }
+     */
+    function getParams(sensorId) {
+        if (!cachedParams) {
+            loadAll();
+        }
+        const stored = sensorId ? cachedParams[sensorId] : null;
+        return {
+            txPower: stored && typeof stored.txPower === 'number' ? stored.txPower : PATH_LOSS_CONFIG.txPower,
+            exponent: stored && typeof stored.exponent === 'number' ? stored.exponent : PATH_LOSS_CONFIG.exponent
+        };
+    }
+
+    /**
+     * Set model parameters for a sensor
+     * @param {string} sensorId - Sensor identifier
+     * @param {object} params - { txPower, exponent }
+     */
+    function setParams(sensorId, params) {
+        const all = loadAll();
+        all[sensorId] = { txPower: params.txPower, exponent: params.exponent };
+        saveAll(all);
+    }
+
+    /**
+     * Convert RSSI to distance with the log-distance model
+     * @param {number} rssi - Received signal strength (dBm)
+     * @param {string} sensorId - Sensor identifier (for per-sensor parameters)
+     * @returns {number} Distance in meters
+     */
+    function rssiToDistance(rssi, sensorId) {
+        const { txPower, exponent } = getParams(sensorId);
+        return Math.pow(10, (txPower - rssi) / (10 * exponent));
+    }
+
+    /**
+     * Resolve the distance of a reading from reported distance and/or RSSI
+     * @param {string} sensorId - Sensor identifier
+     * @param {number} reportedDistance - Distance reported by the sensor (may be missing)
+     * @param {number} rssi - Measured RSSI (may be missing)
+     * @returns {number|null} Distance in meters, or null if neither source is usable
+     */
+    function resolveDistance(sensorId, reportedDistance, rssi) {
+        const hasReported = typeof reportedDistance === 'number' && isFinite(reportedDistance) && reportedDistance >= 0;
+        const hasRssi = typeof rssi === 'number' && isFinite(rssi);
+
+        if (!hasRssi) {
+            return hasReported ? reportedDistance : null;
+        }
+
+        const rssiDistance = rssiToDistance(rssi, sensorId);
+
+        if (!hasReported || PATH_LOSS_CONFIG.mode === 'rssi') {
+            return rssiDistance;
+        }
+
+        if (PATH_LOSS_CONFIG.mode === 'fused') {
+            // RSSI noise in dB maps to a relative distance error: σ_d = d · ln(10) · σ_dB / (10 · n)
+            const { exponent } = getParams(sensorId);
+            const rssiStd = rssiDistance * Math.LN10 * PATH_LOSS_CONFIG.rssiStdDb / (10 * exponent);
+            const wReported = 1 / Math.pow(PATH_LOSS_CONFIG.reportedStd, 2);
+            const wRssi = 1 / Math.pow(Math.max(rssiStd, 1e-6), 2);
+            return (wReported * reportedDistance + wRssi * rssiDistance) / (wReported + wRssi);
+        }
+
+        return reportedDistance;
+    }
+
+    /**
+     * Set the distance resolution mode (persisted)
+     * @param {string} mode - 'reported', 'rssi' or 'fused'
+     */
+    function setMode(mode) {
+        if (['reported', 'rssi', 'fused'].includes(mode)) {
+            PATH_LOSS_CONFIG.mode = mode;
+            try {
+                localStorage.setItem(MODE_STORAGE_KEY, mode);
+            } catch (e) {
+                console.error('Failed to save path-loss mode:', e);
+            }
+            console.log(`[PathLoss] Mode set to ${mode}`);
+        }
+    }
+
+    /**
+     * Restore the stored mode (default: PATH_LOSS_CONFIG.mode)
+     */
+    function loadMode() {
+        try {
+            const stored = localStorage.getItem(MODE_STORAGE_KEY);
+            if (['reported', 'rssi', 'fused'].includes(stored)) {
+                PATH_LOSS_CONFIG.mode = stored;
+            }
+        } catch (e) {
+            console.warn('Failed to load path-loss mode:', e);
+        }
+    }
+
+    /**
+     * Get the distance resolution mode
+     * @returns {string}
+     */
+    function getMode() {
+        return PATH_LOSS_CONFIG.mode;
+    }
+
+    /**
+     * Ground distance between two GPS points (equirectangular, small areas)
+     * @returns {number} Distance in meters
+     */
+    function groundDistance(lat1, lng1, lat2, lng2) {
+        const earthRadius = 6371000;
+        const x = (lng2 - lng1) * Math.PI / 180 * earthRadius * Math.cos((lat1 + lat2) / 2 * Math.PI / 180);
+        const y = (lat2 - lat1) * Math.PI / 180 * earthRadius;
+        return Math.sqrt(x * x + y * y);
+    }
+
+    /**
+     * Fit txPower and exponent per sensor from calibration readings
+     *
+     * Linear regression of RSSI against -10·log10(d):
+     *   RSSI = txPower + n · (-10·log10(d))
+     * With only one distinct distance per sensor the exponent stays at the
+     * default and only txPower is fitted.
+     *
+     * @param {array} readings - Array of { sensor_id, rssi, distance } or
+     *                           { sensor_id, rssi, beacon_lat, beacon_lng }
+     * @param {object} sensorGps - Map of sensor_id -> { lat, lng } (needed for beacon positions)
+     * @returns {object} Map of sensor_id -> { txPower, exponent, residualStd, samples }
+     */
+    function calibrate(readings, sensorGps = {}) {
+        const samplesBySensor = new Map();
+
+        readings.forEach(r => {
+            if (!r || !r.sensor_id || typeof r.rssi !== 'number') return;
+
+            let trueDistance = r.distance;
+            if (typeof trueDistance !== 'number') {
+                const sensor = sensorGps[r.sensor_id];
+                if (!sensor || typeof r.beacon_lat !== 'number' || typeof r.beacon_lng !== 'number') return;
+                trueDistance = groundDistance(sensor.lat, sensor.lng, r.beacon_lat, r.beacon_lng);
+            }
+
+            // log10 is undefined at 0, readings closer than 10 cm are not useful
+            if (!(trueDistance > 0.1)) return;
+
+            if (!samplesBySensor.has(r.sensor_id)) {
+                samplesBySensor.set(r.sensor_id, []);
+            }
+            samplesBySensor.get(r.sensor_id).push({ x: -10 * Math.log10(trueDistance), y: r.rssi });
+        });
+
+        const fitted = {};
+
+        samplesBySensor.forEach((samples, sensorId) => {
+            const n = samples.length;
+            const meanX = samples.reduce((sum, s) => sum + s.x, 0) / n;
+            const meanY = samples.reduce((sum, s) => sum + s.y, 0) / n;
+            let sxx = 0, sxy = 0;
+            samples.forEach(s => {
+                sxx += (s.x - meanX) * (s.x - meanX);
+                sxy += (s.x - meanX) * (s.y - meanY);
+            });
+
+            let exponent = PATH_LOSS_CONFIG.exponent;
+            if (n >= 2 && sxx > 1e-6 && sxy / sxx > 0) {
+                exponent = sxy / sxx;
+            }
+            const txPower = meanY - exponent * meanX;
+
+            const sumSq = samples.reduce((sum, s) => sum + Math.pow(s.y - (txPower + exponent * s.x), 2), 0);
+
+            fitted[sensorId] = {
+                txPower: txPower,
+                exponent: exponent,
+                residualStd: Math.sqrt(sumSq / Math.max(1, n - 2)),
+                samples: n
+            };
+        });
+
+        return fitted;
+    }
+
+    /**
+     * Store fitted parameters (e.g. after the user reviewed them)
+     * @param {object} fitted - Result of calibrate
+     */
+    function saveCalibration(fitted) {
+        const all = loadAll();
+        for (const [sensorId, params] of Object.entries(fitted)) {
+            all[sensorId] = { txPower: params.txPower, exponent: params.exponent };
+        }
+        saveAll(all);
+    }
+
+    loadMode();
+
+    // Public API
+    return {
+        loadAll,
+        saveAll,
+        getParams,
+        setParams,
+        rssiToDistance,
+        resolveDistance,
+        setMode,
+        getMode,
+        calibrate,
+        saveCalibration,
+        PATH_LOSS_CONFIG
+    };
+})();
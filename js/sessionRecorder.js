@@ -0,0 +1,169 @@
+/**
+ * ============================================================
+ * Session Recorder Module
+ * ============================================================
+ * Records the entries of a live MQTT session (everything passed to
+ * MqttHandler.onMessage) and exports them as an offline dataset.
+ *
+ * The export wraps the messages in Raspberry Pi format (one raw
+ * distance message per device reading, as read by
+ * DataHandler.parseRaspberryFormat) with the metadata needed to
+ * reproduce the session. Messages carry the reading's raw distance and
+ * RSSI as received (no path-loss result, no default RSSI), so the import
+ * resolves them exactly like the live session did:
+ * {
+ *   "recording": "smo-live-session",
+ *   "version": 1,
+ *   "startedAt": "...", "stoppedAt": "...", "topic": "...",
+ *   "sensors": { "<sensor-id>": { "lat": ..., "lng": ..., "height": ... } },
+ *   "settings": { "profile": "smo-tracking-settings", ... },
+ *   "messages": [ { "timestamp", "topic", "type": "raw", "payload": "{...}" } ]
+ * }
+ */
+
+const SessionRecorder = (function () {
+    const RECORDING_NAME = 'smo-live-session';
+    const RECORDING_VERSION = 1;
+
+    // State
+    let recording = false;
+    let entries = [];
+    let sensors = new Map(); // sensor_id -> { lat, lng, height }
+    let startedAt = null;
+    let stoppedAt = null;
+    let topic = '';
+
+    /**
+     * Start a new recording (discards the previous buffer)
+     * @param {string} sessionTopic - Subscribed topic, stored as metadata
+     */
+    function start(sessionTopic = '') {
+        entries = [];
+        sensors = new Map();
+        startedAt = new Date().toISOString();
+        stoppedAt = null;
+        topic = sessionTopic;
+        recording = true;
+        console.log('[Recorder] Recording started');
+    }
+
+    /**
+     * Stop recording, the buffer is kept for export
+     */
+    function stop() {
+        if (!recording) return;
+        recording = false;
+        stoppedAt = new Date().toISOString();
+        console.log(`[Recorder] Recording stopped, ${entries.length} entries`);
+    }
+
+    /**
+     * Check if a recording is running
+     * @returns {boolean}
+     */
+    function isRecording() {
+        return recording;
+    }
+
+    /**
+     * Record a live entry (ignored while not recording)
+     * @param {object} entry - Entry { device_key, timestamp, devices, gps }
+     */
+    function record(entry) {
+        if (!recording || !entry || !Array.isArray(entry.devices)) return;
+
+        entries.push({
+            device_key: entry.device_key,
+            timestamp: entry.timestamp,
+            devices: entry.devices.map(d => ({ ...d }))
+        });
+
+        if (Array.isArray(entry.gps)) {
+            sensors.set(entry.device_key, {
+                lat: entry.gps[0],
+                lng: entry.gps[1],
+                height: typeof entry.gps[2] === 'number' ? entry.gps[2] : null
+            });
+        }
+    }
+
+    /**
+     * Get the number of recorded entries
+     * @returns {number}
+     */
+    function getCount() {
+        return entries.length;
+    }
+
+    /**
+     * Convert a recorded entry to Raspberry Pi raw messages (one per device)
+     * @param {object} entry - Recorded entry
+     * @returns {array} Raw messages
+     */
+    function toRaspberryMessages(entry) {
+        const messageTopic = `bt-tracker/raspberry/${entry.device_key}/${entry.device_key}/messages/events/distance`;
+        const time = new Date(entry.timestamp).getTime() / 1000;
+
+        return entry.devices.map(device => {
+            const payload = { mac: device.mac_hashed || device.mac };
+            if (isFinite(time)) {
+                payload.time = time;
+            }
+            // Raw inputs only: the path-loss model resolves them again on import
+            // (readings without them keep their distance)
+            const hasRaw = 'measured_rssi' in device;
+            const distance = hasRaw ? device.reported_distance : device.distance;
+            const rssi = hasRaw ? device.measured_rssi : device.rssi;
+            if (typeof distance === 'number') {
+                payload.distance = distance;
+            }
+            if (typeof rssi === 'number') {
+                payload.rssi = rssi;
+            }
+
+            return {
+                timestamp: entry.timestamp,
+                topic: messageTopic,
+                type: 'raw',
+                payload: JSON.stringify(payload)
+            };
+        });
+    }
+
+    /**
+     * Export the recording as JSON
+     * @returns {string} JSON string
+     */
+    function exportAsJson() {
+        const sensorObj = {};
+        sensors.forEach((coords, id) => {
+            sensorObj[id] = coords;
+        });
+
+        const messages = [];
+        entries.forEach(entry => {
+            messages.push(...toRaspberryMessages(entry));
+        });
+
+        return JSON.stringify({
+            recording: RECORDING_NAME,
+            version: RECORDING_VERSION,
+            startedAt: startedAt,
+            stoppedAt: stoppedAt,
+            topic: topic,
+            sensors: sensorObj,
+            settings: JSON.parse(Settings.exportAsJson()),
+            messages: messages
+        }, null, 2);
+    }
+
+    // Public API
+    return {
+        start,
+        stop,
+        isRecording,
+        record,
+        getCount,
+        exportAsJson
+    };
+})();
@@ -0,0 +1,345 @@
+/**
+ * ============================================================
+ * Settings Module
+ * ============================================================
+ * Runtime tracking parameters that used to be constants spread over
+ * the modules (time windows, Kalman noise, max range, outlier threshold,
+ * default RSSI).
+ *
+ * Every setting reads its default from the owning module, so the
+ * module constants stay the single source of the defaults. Changed
+ * values are persisted in localStorage and can be exported/imported
+ * as a JSON profile:
+ * {
+ *   "profile": "smo-tracking-settings",
+ *   "version": 1,
+ *   "settings": { "timeWindow": 15, "maxRange": 200, ... }
+ * }
+ */
+
+const Settings = (function () {
+    const STORAGE_KEY = 'smo_tracking_settings';
+    const PROFILE_NAME = 'smo-tracking-settings';
+    const PROFILE_VERSION = 1;
+
+    // Setting definitions: read() gets the current value from the owning module, apply() sets it
+    const DEFINITIONS = [
+        {
+            key: 'timeWindow',
+            group: 'Time Sync',
+            label: 'Sync window (s)',
+            min: 0, max: 120, step: 1,
+            read: () => DataHandler.getTimeWindow() / 1000,
+            apply: value => DataHandler.setTimeWindow(value * 1000)
+        },
+        {
+            key: 'windowLookahead',
+            group: 'Time Sync',
+            label: 'Lookahead (s)',
+            min: 0, max: 120, step: 1,
+            read: () => DataHandler.getWindowLookahead() / 1000,
+            apply: value => DataHandler.setWindowLookahead(value * 1000)
+        },
+        {
+            key: 'realtimeDebounce',
+            group: 'Time Sync',
+            label: 'Live debounce (ms)',
+            min: 0, max: 5000, step: 50,
+            read: () => App.REALTIME_CONFIG.debounceMs,
+            apply: value => { App.REALTIME_CONFIG.debounceMs = value; }
+        },
+        {
+            key: 'liveHistory',
+            group: 'Time Sync',
+            label: 'Live history (min)',
+            min: 1, max: 240, step: 1,
+            read: () => App.REALTIME_CONFIG.historyMinutes,
+            apply: value => { App.REALTIME_CONFIG.historyMinutes = value; }
+        },
+        {
+            key: 'kalmanProcessNoise',
+            group: 'Kalman Filter',
+            label: 'Process noise (m²/s³)',
+            min: 0.01, max: 20, step: 0.1,
+            read: () => Lateration.KALMAN_CONFIG.processNoise,
+            apply: value => { Lateration.KALMAN_CONFIG.processNoise = value; }
+        },
+        {
+            key: 'kalmanMeasurementNoise',
+            group: 'Kalman Filter',
+            label: 'Measurement noise (m)',
+            min: 0.1, max: 50, step: 0.1,
+            read: () => Lateration.KALMAN_CONFIG.measurementNoise,
+            apply: value => { Lateration.KALMAN_CONFIG.measurementNoise = value; }
+        },
+        {
+            key: 'kalmanMaxGap',
+            group: 'Kalman Filter',
+            label: 'Restart after gap (s)',
+            min: 1, max: 600, step: 1,
+            read: () => Lateration.KALMAN_CONFIG.maxGapSeconds,
+            apply: value => { Lateration.KALMAN_CONFIG.maxGapSeconds = value; }
+        },
+        {
+            key: 'maxRange',
+            group: 'Lateration',
+            label: 'Max range (m)',
+            min: 1, max: 1000, step: 5,
+            read: () => Lateration.SOLVER_CONFIG.maxRange,
+            apply: value => Lateration.setMaxRange(value)
+        },
+        {
+            key: 'outlierThreshold',
+            group: 'Lateration',
+            label: 'Outlier threshold (m)',
+            min: 0.5, max: 50, step: 0.5,
+            read: () => Lateration.ROBUST_CONFIG.residualThreshold,
+            apply: value => Lateration.setOutlierThreshold(value)
+        },
+        {
+            key: 'rssiDeviceList',
+            group: 'Default RSSI (new data)',
+            label: 'Device lists (dBm)',
+            min: -120, max: 0, step: 1,
+            read: () => DataHandler.RSSI_DEFAULTS.deviceList,
+            apply: value => { DataHandler.RSSI_DEFAULTS.deviceList = value; }
+        },
+        {
+            key: 'rssiSingleReading',
+            group: 'Default RSSI (new data)',
+            label: 'Single readings (dBm)',
+            min: -120, max: 0, step: 1,
+            read: () => DataHandler.RSSI_DEFAULTS.singleReading,
+            apply: value => { DataHandler.RSSI_DEFAULTS.singleReading = value; }
+        }
+    ];
+
+    // Module defaults captured in init(): key -> value
+    const defaults = {};
+    let onChangeCallback = null;
+
+    /**
+     * Find a setting definition
+     * @param {string} key - Setting key
+     * @returns {object|undefined}
+     */
+    function getDefinition(key) {
+        return DEFINITIONS.find(d => d.key === key);
+    }
+
+    /**
+     * Clamp a value to the range of a setting
+     * @param {object} definition - Setting definition
+     * @param {*} value - Raw value (number or numeric string)
+     * @returns {number|null} Clamped value, null if not a number
+     */
+    function normalize(definition, value) {
+        const number = Number(value);
+        if (value === null || value === '' || !isFinite(number)) return null;
+        return Math.min(definition.max, Math.max(definition.min, number));
+    }
+
+    /**
+     * Load stored settings
+     * @returns {object} key -> value
+     */
+    function loadStored() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                return JSON.parse(stored);
+            }
+        } catch (e) {
+            console.warn('Failed to load settings:', e);
+        }
+        return {};
+    }
+
+    /**
+     * Persist all values that differ from the defaults
+     */
+    function save() {
+        const changed = {};
+        DEFINITIONS.forEach(d => {
+            const value = d.read();
+            if (value !== defaults[d.key]) {
+                changed[d.key] = value;
+            }
+        });
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+        } catch (e) {
+            console.error('Failed to save settings:', e);
+        }
+    }
+
+    /**
+     * Apply a set of values without saving
+     * @param {object} values - key -> value
+     * @returns {number} Number of applied settings
+     */
+    function applyValues(values) {
+        let count = 0;
+        Object.keys(values).forEach(key => {
+            const definition = getDefinition(key);
+            if (!definition) return;
+
+            const value = normalize(definition, values[key]);
+            if (value === null) return;
+
+            definition.apply(value);
+            count++;
+        });
+        return count;
+    }
+
+    /**
+     * Results depend on the settings: drop cached positions and notify the app
+     * @param {string|null} key - Changed setting, null for several at once
+     */
+    function notifyChange(key) {
+        Lateration.clearCache();
+        if (onChangeCallback) {
+            onChangeCallback(key);
+        }
+    }
+
+    /**
+     * Initialize: capture module defaults and apply stored values
+     * @param {function} onChange - Called with the changed key (or null) after every change
+     */
+    function init(onChange) {
+        onChangeCallback = onChange;
+
+        DEFINITIONS.forEach(d => {
+            defaults[d.key] = d.read();
+        });
+
+        const count = applyValues(loadStored());
+        if (count > 0) {
+            Lateration.clearCache();
+            console.log(`[Settings] Applied ${count} stored settings`);
+        }
+    }
+
+    /**
+     * Get all setting definitions for the settings panel
+     * @returns {array} [{ key, group, label, min, max, step, value, default }]
+     */
+    function getAll() {
+        return DEFINITIONS.map(d => ({
+            key: d.key,
+            group: d.group,
+            label: d.label,
+            min: d.min,
+            max: d.max,
+            step: d.step,
+            value: d.read(),
+            default: defaults[d.key]
+        }));
+    }
+
+    /**
+     * Get the current value of a setting
+     * @param {string} key - Setting key
+     * @returns {number|null}
+     */
+    function get(key) {
+        const definition = getDefinition(key);
+        return definition ? definition.read() : null;
+    }
+
+    /**
+     * Change a setting
+     * @param {string} key - Setting key
+     * @param {*} value - New value (clamped to the setting's range)
+     * @returns {number|null} Applied value, null if key or value are invalid
+     */
+    function set(key, value) {
+        const definition = getDefinition(key);
+        if (!definition) return null;
+
+        const normalized = normalize(definition, value);
+        if (normalized === null) return null;
+
+        definition.apply(normalized);
+        save();
+        notifyChange(key);
+        return normalized;
+    }
+
+    /**
+     * Restore all module defaults
+     */
+    function reset() {
+        applyValues(defaults);
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            console.warn('Failed to clear settings:', e);
+        }
+        notifyChange(null);
+    }
+
+    /**
+     * Export all current values as a JSON profile
+     * @returns {string} JSON string
+     */
+    function exportAsJson() {
+        const settings = {};
+        DEFINITIONS.forEach(d => {
+            settings[d.key] = d.read();
+        });
+
+        return JSON.stringify({
+            profile: PROFILE_NAME,
+            version: PROFILE_VERSION,
+            settings: settings
+        }, null, 2);
+    }
+
+    /**
+     * Import a JSON profile
+     * Unknown keys are ignored, values are clamped to their ranges.
+     * @param {string} jsonString - JSON string
+     * @returns {object} { success, count, error }
+     */
+    function importFromJson(jsonString) {
+        try {
+            const imported = JSON.parse(jsonString);
+
+            if (!imported || imported.profile !== PROFILE_NAME || typeof imported.settings !== 'object') {
+                return { success: false, error: 'Not a tracking settings profile' };
+            }
+            if (imported.version > PROFILE_VERSION) {
+                return { success: false, error: `Unsupported profile version ${imported.version}` };
+            }
+
+            for (const [key, value] of Object.entries(imported.settings)) {
+                if (getDefinition(key) && typeof value !== 'number') {
+                    return { success: false, error: `Invalid value for ${key}` };
+                }
+            }
+
+            const count = applyValues(imported.settings);
+            save();
+            notifyChange(null);
+
+            return { success: true, count: count };
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        getAll,
+        get,
+        set,
+        reset,
+        exportAsJson,
+        importFromJson
+    };
+})();
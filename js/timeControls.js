@@ -4,6 +4,12 @@
  * ============================================================
  * Handles time-based navigation through sensor data,
  * including slider, playback, and animation.
+ *
+ * LIVE MODE:
+ * While connected to MQTT the timeline grows at the right edge. The
+ * slider follows the newest timestamp until the operator drags or steps
+ * back; new data then only extends the timeline and the selected
+ * timestamp stays put. The LIVE pin jumps back to the newest timestamp.
  */
 
 const TimeControls = (function () {
@@ -15,6 +21,8 @@ const TimeControls = (function () {
     let animationFrameId = null;
     let lastFrameTime = 0;
     let updateCallback = null;
+    let liveMode = false;
+    let followingLive = false;
 
     // DOM Elements
     let slider = null;
@@ -23,6 +31,7 @@ const TimeControls = (function () {
     let playButton = null;
     let speedSelect = null;
     let timeSection = null;
+    let livePin = null;
 
     /**
      * Initialize time controls
@@ -38,11 +47,13 @@ const TimeControls = (function () {
         playButton = document.getElementById('btn-play');
         speedSelect = document.getElementById('playback-speed');
         timeSection = document.getElementById('time-section');
+        livePin = document.getElementById('btn-live');
 
         // Event listeners
         slider.addEventListener('input', handleSliderChange);
         playButton.addEventListener('click', togglePlayback);
         speedSelect.addEventListener('change', handleSpeedChange);
+        livePin.addEventListener('click', goLive);
 
         document.getElementById('btn-prev').addEventListener('click', () => step(-1));
         document.getElementById('btn-next').addEventListener('click', () => step(1));
@@ -53,6 +64,7 @@ const TimeControls = (function () {
      * @param {array} ts - Array of timestamp strings
      */
     function setTimestamps(ts) {
+        setLiveMode(false);
         timestamps = ts;
         currentIndex = 0;
 
@@ -84,6 +96,7 @@ const TimeControls = (function () {
         const newIndex = parseInt(slider.value, 10);
         if (newIndex !== currentIndex) {
             currentIndex = newIndex;
+            updateFollowing();
             updateDisplay();
 
             if (updateCallback) {
@@ -109,6 +122,7 @@ const TimeControls = (function () {
         if (newIndex >= 0 && newIndex < timestamps.length) {
             currentIndex = newIndex;
             slider.value = currentIndex;
+            updateFollowing();
             updateDisplay();
 
             if (updateCallback) {
@@ -132,7 +146,7 @@ const TimeControls = (function () {
      * Start playback
      */
     function play() {
-        if (timestamps.length === 0) return;
+        if (timestamps.length === 0 || liveMode) return;
 
         isPlaying = true;
         playButton.textContent = '⏸';
@@ -195,6 +209,9 @@ const TimeControls = (function () {
      * Update the time display
      */
     function updateDisplay() {
+        // Also with an empty timeline (live mode left before the first result)
+        livePin.classList.toggle('following', liveMode && followingLive);
+
         if (timestamps.length === 0) {
             timeDisplay.textContent = '--:--:--';
             indexDisplay.textContent = '0 / 0';
@@ -217,7 +234,141 @@ const TimeControls = (function () {
             timeDisplay.textContent = timestamp.substring(11, 19);
         }
 
-        indexDisplay.textContent = `${currentIndex + 1} / ${timestamps.length}`;
+        if (liveMode) {
+            indexDisplay.textContent = followingLive ? 'LIVE' : formatLiveOffset();
+        } else {
+            indexDisplay.textContent = `${currentIndex + 1} / ${timestamps.length}`;
+        }
+    }
+
+    /**
+     * Format how far the selected timestamp is behind the newest one
+     * @returns {string} e.g. "-2:05"
+     */
+    function formatLiveOffset() {
+        const newest = new Date(timestamps[timestamps.length - 1]).getTime();
+        const seconds = Math.max(0, Math.round((newest - new Date(timestamps[currentIndex]).getTime()) / 1000));
+        return `-${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // ==================== LIVE MODE ====================
+
+    /**
+     * Enter or leave live mode
+     * Entering starts an empty timeline that follows the newest timestamp.
+     * Leaving keeps the recorded timeline for normal review and playback.
+     * @param {boolean} enabled
+     */
+    function setLiveMode(enabled) {
+        if (enabled === liveMode) return;
+
+        liveMode = enabled;
+        followingLive = enabled;
+        timeSection.classList.toggle('live-mode', enabled);
+
+        if (enabled) {
+            pause();
+            timestamps = [];
+            currentIndex = 0;
+            timeSection.style.display = 'block';
+            slider.min = 0;
+            slider.max = 0;
+            slider.value = 0;
+        }
+
+        updateDisplay();
+    }
+
+    /**
+     * Check if live mode is active
+     * @returns {boolean}
+     */
+    function isLive() {
+        return liveMode;
+    }
+
+    /**
+     * Check if the slider follows the newest timestamp
+     * @returns {boolean}
+     */
+    function isFollowingLive() {
+        return liveMode && followingLive;
+    }
+
+    /**
+     * Follow the newest timestamp again when the slider reaches the right edge
+     */
+    function updateFollowing() {
+        if (liveMode) {
+            followingLive = currentIndex === timestamps.length - 1;
+        }
+    }
+
+    /**
+     * Append new timestamps at the right edge of the live timeline
+     * Moves to the newest one if following, otherwise keeps the selection.
+     * @param {array} ts - Timestamp strings, sorted and newer than the current ones
+     */
+    function appendLiveTimestamps(ts) {
+        if (!liveMode || ts.length === 0) return;
+
+        timestamps.push(...ts);
+        slider.max = timestamps.length - 1;
+
+        if (followingLive) {
+            currentIndex = timestamps.length - 1;
+            slider.value = currentIndex;
+            updateDisplay();
+
+            if (updateCallback) {
+                updateCallback(timestamps[currentIndex]);
+            }
+        } else {
+            slider.value = currentIndex;
+            updateDisplay();
+        }
+    }
+
+    /**
+     * Drop timestamps older than the retained history from the live timeline
+     * If the selected timestamp is dropped, the oldest remaining one is shown.
+     * @param {number} cutoffTime - Epoch milliseconds
+     */
+    function trimLiveTimestamps(cutoffTime) {
+        if (!liveMode) return;
+
+        let count = 0;
+        while (count < timestamps.length - 1 && new Date(timestamps[count]).getTime() < cutoffTime) {
+            count++;
+        }
+        if (count === 0) return;
+
+        timestamps.splice(0, count);
+        const selectionDropped = currentIndex < count;
+        currentIndex = Math.max(0, currentIndex - count);
+        slider.max = timestamps.length - 1;
+        slider.value = currentIndex;
+        updateDisplay();
+
+        if (selectionDropped && updateCallback) {
+            updateCallback(timestamps[currentIndex]);
+        }
+    }
+
+    /**
+     * Jump back to the newest live timestamp
+     */
+    function goLive() {
+        if (!liveMode || timestamps.length === 0) return;
+
+        followingLive = true;
+        currentIndex = timestamps.length - 1;
+        slider.value = currentIndex;
+        updateDisplay();
+
+        if (updateCallback) {
+            updateCallback(timestamps[currentIndex]);
+        }
     }
 
     /**
@@ -246,6 +397,7 @@ const TimeControls = (function () {
         if (index >= 0) {
             currentIndex = index;
             slider.value = currentIndex;
+            updateFollowing();
             updateDisplay();
         }
     }
@@ -254,6 +406,7 @@ const TimeControls = (function () {
      * Reset to initial state
      */
     function reset() {
+        setLiveMode(false);
         pause();
         timestamps = [];
         currentIndex = 0;
@@ -271,6 +424,12 @@ const TimeControls = (function () {
         play,
         pause,
         step,
-        reset
+        reset,
+        setLiveMode,
+        isLive,
+        isFollowingLive,
+        appendLiveTimestamps,
+        trimLiveTimestamps,
+        goLive
     };
 })();
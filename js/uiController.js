@@ -9,6 +9,10 @@
 const UIController = (function () {
     let map = null;
 
+    // Maps following the dark/light theme: [{ map, tiles }]
+    const themedMaps = [];
+    let currentTheme = 'dark';
+
     /**
      * Initialize UI controller
      * @param {L.Map} mapInstance - Leaflet map instance
@@ -39,6 +43,38 @@ const UIController = (function () {
             MapLayers.toggleLayer(map, 'heatmap', this.checked);
         });
 
+        document.getElementById('layer-ellipses').addEventListener('change', function () {
+            MapLayers.toggleLayer(map, 'ellipses', this.checked);
+        });
+
+        document.getElementById('ellipse-confidence').addEventListener('change', function () {
+            MapLayers.setEllipseConfidence(parseFloat(this.value));
+            MapLayers.renderDevices(App.getCurrentDevices());
+        });
+
+        document.getElementById('layer-coverage').addEventListener('change', function () {
+            MapLayers.toggleLayer(map, 'coverage', this.checked);
+        });
+
+        document.getElementById('coverage-whatif').addEventListener('change', function () {
+            MapLayers.setWhatIfEnabled(this.checked);
+        });
+
+        document.getElementById('btn-clear-virtual-sensors').addEventListener('click', function () {
+            MapLayers.clearVirtualSensors();
+        });
+
+        document.getElementById('layer-comparison').addEventListener('change', function () {
+            MapLayers.toggleLayer(map, 'comparison', this.checked);
+        });
+
+        document.getElementById('layer-particles').addEventListener('change', function () {
+            MapLayers.toggleLayer(map, 'particles', this.checked);
+            if (this.checked) {
+                MapLayers.renderParticles(App.getCurrentDevices());
+            }
+        });
+
         document.getElementById('layer-zones').addEventListener('change', function () {
             ZoneManager.toggleVisibility(map, this.checked);
         });
@@ -61,28 +97,12 @@ const UIController = (function () {
         const darkBtn = document.getElementById('style-dark');
         const lightBtn = document.getElementById('style-light');
 
-        // Tile layers
-        const darkTiles = L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
-            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>',
-            subdomains: 'abcd',
-            maxZoom: 20
-        });
-
-        const lightTiles = L.tileLayer('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', {
-            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>',
-            subdomains: 'abcd',
-            maxZoom: 20
-        });
-
         // Add dark tiles by default
-        darkTiles.addTo(map);
-        let currentTiles = darkTiles;
+        attachMap(map);
 
         darkBtn.addEventListener('click', function () {
-            if (currentTiles !== darkTiles) {
-                map.removeLayer(currentTiles);
-                darkTiles.addTo(map);
-                currentTiles = darkTiles;
+            if (currentTheme !== 'dark') {
+                setTheme('dark');
                 darkBtn.classList.add('active');
                 lightBtn.classList.remove('active');
                 document.body.classList.remove('light-theme');
@@ -90,10 +110,8 @@ const UIController = (function () {
         });
 
         lightBtn.addEventListener('click', function () {
-            if (currentTiles !== lightTiles) {
-                map.removeLayer(currentTiles);
-                lightTiles.addTo(map);
-                currentTiles = lightTiles;
+            if (currentTheme !== 'light') {
+                setTheme('light');
                 lightBtn.classList.add('active');
                 darkBtn.classList.remove('active');
                 document.body.classList.add('light-theme');
@@ -101,6 +119,41 @@ const UIController = (function () {
         });
     }
 
+    /**
+     * Create a tile layer for a theme
+     * @param {string} theme - 'dark' or 'light'
+     * @returns {L.TileLayer}
+     */
+    function createTiles(theme) {
+        return L.tileLayer(`https://{s}.basemaps.cartocdn.com/${theme}_all/{z}/{x}/{y}{r}.png`, {
+            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>',
+            subdomains: 'abcd',
+            maxZoom: 20
+        });
+    }
+
+    /**
+     * Add tiles of the current theme to a map and keep them in sync with the theme
+     * (used for the second map of the split view)
+     * @param {L.Map} target - Leaflet map instance
+     */
+    function attachMap(target) {
+        const tiles = createTiles(currentTheme).addTo(target);
+        themedMaps.push({ map: target, tiles: tiles });
+    }
+
+    /**
+     * Switch the tiles of all maps to a theme
+     * @param {string} theme - 'dark' or 'light'
+     */
+    function setTheme(theme) {
+        currentTheme = theme;
+        themedMaps.forEach(entry => {
+            entry.map.removeLayer(entry.tiles);
+            entry.tiles = createTiles(theme).addTo(entry.map);
+        });
+    }
+
     /**
      * Setup panel minimize toggle
      */
@@ -225,6 +278,7 @@ const UIController = (function () {
         updateSensorCount,
         showError,
         showSuccess,
-        closeDeviceModal
+        closeDeviceModal,
+        attachMap
     };
 })();
@@ -351,34 +351,66 @@ const ZoneManager = (function () {
         alert(`Imported ${importCount} zone(s)`);
     }
 
+    // Samples per range-only ring for fractional zone counting
+    const RING_SAMPLES = { angular: 72, radial: 3 };
+
     /**
      * Count devices within each zone
+     * Range-only (single sensor) devices count with the fraction of their
+     * ring that lies inside the zone, so counts can be fractional.
      * @param {array} devices - Array of device positions
      */
     function updateDeviceCounts(devices) {
+        // Ring samples are shared by all zones
+        const ringSamples = new Map();
+        devices.forEach(device => {
+            if (device.resultType === 'range' && device.ring) {
+                ringSamples.set(device, Lateration.sampleRing(
+                    device.ring, MapLayers.RING_CONFIG.sigmas, RING_SAMPLES.angular, RING_SAMPLES.radial
+                ));
+            }
+        });
+
         zones.forEach((zone, id) => {
             let count = 0;
 
             devices.forEach(device => {
-                if (isPointInZone([device.lat, device.lng], zone.layer)) {
+                const samples = ringSamples.get(device);
+                if (samples) {
+                    const inside = samples.filter(p => isPointInZone([p.lat, p.lng], zone.layer)).length;
+                    count += inside / samples.length;
+                } else if (isPointInZone([device.lat, device.lng], zone.layer)) {
                     count++;
                 }
             });
 
+            const text = formatDeviceCount(count);
+
             // Update popup
             const popupElement = document.getElementById(`zone-count-${id}`);
             if (popupElement) {
-                popupElement.textContent = `${count} device${count !== 1 ? 's' : ''}`;
+                popupElement.textContent = text;
             }
 
             // Update sidebar
             const displayElement = document.getElementById(`zone-count-display-${id}`);
             if (displayElement) {
-                displayElement.textContent = `${count} device${count !== 1 ? 's' : ''}`;
+                displayElement.textContent = text;
             }
         });
     }
 
+    /**
+     * Format a (possibly fractional) device count
+     * @param {number} count - Expected number of devices
+     * @returns {string} e.g. '3 devices', '1 device', '2.4 devices'
+     */
+    function formatDeviceCount(count) {
+        const rounded = Math.round(count * 10) / 10;
+        const text = Number.isInteger(rounded) ? String(rounded) : rounded.toFixed(1);
+        return `${text} device${rounded !== 1 ? 's' : ''}`;
+    }
+
     /**
      * Check if a point is inside a zone
      * @param {array} latlng - [lat, lng]
@@ -431,6 +463,21 @@ const ZoneManager = (function () {
         return inside;
     }
 
+    /**
+     * Check if a position lies inside any zone
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {boolean}
+     */
+    function containsPoint(lat, lng) {
+        for (const zone of zones.values()) {
+            if (isPointInZone([lat, lng], zone.layer)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     /**
      * Get all zones
      * @returns {Map}
@@ -559,6 +606,7 @@ const ZoneManager = (function () {
         exportZones,
         importGeoJSON,
         updateDeviceCounts,
+        containsPoint,
         getZones,
         toggleVisibility,
         clearAll,
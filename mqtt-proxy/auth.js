@@ -0,0 +1,176 @@
+/**
+ * ============================================================
+ * WebSocket Authentication & Access Control
+ * ============================================================
+ * Clients authenticate on the WebSocket upgrade with a token or
+ * username/password, either as HTTP header (non-browser clients):
+ *   Authorization: Bearer <token>
+ *   Authorization: Basic base64(<user>:<password>)
+ * or as query parameters (browsers cannot set upgrade headers):
+ *   ws://host:3001/?token=<token>
+ *   ws://host:3001/?user=<user>&password=<password>
+ *
+ * Access file (JSON or YAML, --auth-file):
+ *   users:
+ *     - name: team-a
+ *       token: "<long random string>"        # token and/or password
+ *       password: "<password>"
+ *       topics: ["bt-tracker/building-a/#"]   # filters the user may subscribe within
+ *       commands: ["subscribe", "unsubscribe", "feed"] # allowed client commands
+ *
+ * Without an access file every client is accepted with full access.
+ */
+
+const crypto = require('crypto');
+const { loadConfigFile, ConfigError } = require('./config');
+const { isValidFilter, filterCovers } = require('./subscriptions');
+
+const ALL_COMMANDS = ['subscribe', 'unsubscribe', 'feed', 'reconnect'];
+const DEFAULT_COMMANDS = ['subscribe', 'unsubscribe', 'feed'];
+
+// Used when no access file is configured
+const OPEN_ACCESS_USER = { name: 'anonymous', topics: ['#'], commands: ALL_COMMANDS };
+
+/**
+ * Compare secrets in constant time
+ */
+function secretEquals(expected, actual) {
+    if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+    const a = crypto.createHash('sha256').update(expected).digest();
+    const b = crypto.createHash('sha256').update(actual).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Load and check the access file
+ * @param {string} file - Path to JSON/YAML file
+ * @returns {array} Users
+ * @throws {ConfigError}
+ */
+function loadUsers(file) {
+    const parsed = loadConfigFile(file);
+    const errors = [];
+
+    if (!Array.isArray(parsed.users) || parsed.users.length === 0) {
+        throw new ConfigError([`${file}: "users" must be a non-empty list`]);
+    }
+
+    const names = new Set();
+    const users = parsed.users.map((user, i) => {
+        const label = `${file}: users[${i}]`;
+        if (!user || typeof user.name !== 'string' || user.name === '') {
+            errors.push(`${label}: name is required`);
+            return null;
+        }
+        if (names.has(user.name)) {
+            errors.push(`${label}: duplicate name "${user.name}"`);
+        }
+        names.add(user.name);
+
+        if (!user.token && !user.password) {
+            errors.push(`${label} (${user.name}): token or password is required`);
+        }
+
+        const topics = user.topics || [];
+        if (!Array.isArray(topics) || topics.some(t => !isValidFilter(t))) {
+            errors.push(`${label} (${user.name}): topics must be a list of topic filters`);
+        }
+
+        const commands = user.commands || DEFAULT_COMMANDS;
+        const unknown = Array.isArray(commands) ? commands.filter(c => !ALL_COMMANDS.includes(c)) : ['(not a list)'];
+        if (unknown.length > 0) {
+            errors.push(`${label} (${user.name}): unknown commands ${unknown.join(', ')}`);
+        }
+
+        return {
+            name: user.name,
+            token: user.token ? String(user.token) : null,
+            password: user.password ? String(user.password) : null,
+            topics: topics,
+            commands: commands
+        };
+    });
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return users;
+}
+
+/**
+ * Extract credentials from an upgrade request
+ * @param {http.IncomingMessage} req
+ * @returns {object} { token } or { user, password } or {}
+ */
+function getCredentials(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, value] = header.split(' ');
+
+    if (scheme && value) {
+        if (scheme.toLowerCase() === 'bearer') {
+            return { token: value };
+        }
+        if (scheme.toLowerCase() === 'basic') {
+            const decoded = Buffer.from(value, 'base64').toString('utf8');
+            const separator = decoded.indexOf(':');
+            if (separator > 0) {
+                return { user: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+            }
+        }
+    }
+
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    if (query.has('token')) {
+        return { token: query.get('token') };
+    }
+    if (query.has('user')) {
+        return { user: query.get('user'), password: query.get('password') || '' };
+    }
+    return {};
+}
+
+/**
+ * Create the authenticator
+ * @param {string|null} authFile - Access file, null = open access
+ * @returns {object} { enabled, authenticate(req), canSubscribe(user, filter), canCommand(user, command) }
+ */
+function createAuthenticator(authFile) {
+    const users = authFile ? loadUsers(authFile) : null;
+
+    /**
+     * @returns {object|null} User, null if the credentials are missing or wrong
+     */
+    function authenticate(req) {
+        if (!users) return OPEN_ACCESS_USER;
+
+        const credentials = getCredentials(req);
+        if (credentials.token) {
+            return users.find(u => u.token && secretEquals(u.token, credentials.token)) || null;
+        }
+        if (credentials.user) {
+            const user = users.find(u => u.name === credentials.user);
+            return user && user.password && secretEquals(user.password, credentials.password) ? user : null;
+        }
+        return null;
+    }
+
+    function canSubscribe(user, filter) {
+        return user.topics.some(allowed => filterCovers(allowed, filter));
+    }
+
+    function canCommand(user, command) {
+        return user.commands.includes(command);
+    }
+
+    return {
+        enabled: !!users,
+        userCount: users ? users.length : 0,
+        authenticate,
+        canSubscribe,
+        canCommand
+    };
+}
+
+module.exports = {
+    createAuthenticator
+};
@@ -0,0 +1,311 @@
+/**
+ * ============================================================
+ * Proxy Configuration
+ * ============================================================
+ * Every option can be set in (later sources win):
+ *   1. built-in defaults
+ *   2. a config file (JSON or YAML): --config <file> or PROXY_CONFIG
+ *   3. environment variables
+ *   4. command line flags
+ *
+ * Credentials have no default: set them via environment or a config
+ * file that is not committed (see config.example.yaml).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { topicMatches } = require('./subscriptions');
+const { resolveFiles } = require('./replay');
+
+// Option definitions: key (as used in CONFIG), config file path, env variable, flag
+const OPTIONS = [
+    { key: 'MQTT_BROKER', file: 'mqtt.broker', env: 'MQTT_BROKER', flag: '--broker', type: 'url', default: 'mqtt://139.6.19.20', help: 'MQTT broker URL (mqtt://, mqtts://, ws://, wss://)' },
+    { key: 'MQTT_PORT', file: 'mqtt.port', env: 'MQTT_PORT', flag: '--port', type: 'port', default: 1883, help: 'MQTT broker port' },
+    { key: 'MQTT_USERNAME', file: 'mqtt.username', env: 'MQTT_USERNAME', flag: '--username', type: 'string', default: '', help: 'MQTT username (empty = anonymous)' },
+    { key: 'MQTT_PASSWORD', file: 'mqtt.password', env: 'MQTT_PASSWORD', flag: '--password', type: 'string', default: '', secret: true, help: 'MQTT password' },
+    { key: 'DEFAULT_TOPIC', file: 'mqtt.topic', env: 'MQTT_TOPIC', flag: '--topic', type: 'string', default: 'bt-tracker/#', help: 'Default topic to subscribe' },
+    { key: 'WS_PORT', file: 'server.port', env: 'WS_PORT', flag: '--ws-port', type: 'port', default: 3001, help: 'WebSocket/HTTP port for browser clients' },
+    { key: 'RECORD_DIR', file: 'record.dir', env: 'RECORD_DIR', flag: '--record', type: 'string', default: null, help: 'Record forwarded messages to this directory' },
+    { key: 'RECORD_MAX_MB', file: 'record.maxMb', env: 'RECORD_MAX_MB', flag: '--record-max-mb', type: 'number', default: 50, help: 'Start a new log file after this size (MB)' },
+    { key: 'RECORD_MAX_FILES', file: 'record.maxFiles', env: 'RECORD_MAX_FILES', flag: '--record-max-files', type: 'integer', default: 10, help: 'Number of log files to keep' },
+    { key: 'REPLAY_SOURCE', file: 'replay.source', env: 'REPLAY_SOURCE', flag: '--replay', type: 'string', default: null, help: 'Replay an NDJSON file or directory instead of connecting to MQTT' },
+    { key: 'REPLAY_SPEED', file: 'replay.speed', env: 'REPLAY_SPEED', flag: '--speed', type: 'number', default: 1, help: 'Replay speed factor' },
+    { key: 'REPLAY_LOOP', file: 'replay.loop', env: 'REPLAY_LOOP', flag: '--loop', type: 'boolean', default: false, help: 'Restart the replay at the end' },
+    { key: 'AUTH_FILE', file: 'auth.file', env: 'AUTH_FILE', flag: '--auth-file', type: 'string', default: null, help: 'Users and access rules for WebSocket clients (JSON/YAML, see auth.js)' },
+    { key: 'SENSORS_FILE', file: 'lateration.sensors', env: 'SENSORS_FILE', flag: '--sensors', type: 'string', default: null, help: 'Sensor coordinates (JSON/YAML, see positioning.js), enables server-side lateration' },
+    { key: 'PUBLISH_POSITIONS', file: 'publish.positions', env: 'PUBLISH_POSITIONS', flag: '--publish-positions', type: 'string', default: null, help: 'Publish computed positions to this topic, {device} = hashed MAC (see publisher.js)' },
+    { key: 'PUBLISH_OCCUPANCY', file: 'publish.occupancy', env: 'PUBLISH_OCCUPANCY', flag: '--publish-occupancy', type: 'string', default: null, help: 'Publish device counts per zone to this topic, {zone} = zone name' },
+    { key: 'ZONES_FILE', file: 'publish.zones', env: 'ZONES_FILE', flag: '--zones', type: 'string', default: null, help: 'Zones as GeoJSON (zone export of the web app)' },
+    { key: 'PUBLISH_INTERVAL_MS', file: 'publish.intervalMs', env: 'PUBLISH_INTERVAL_MS', flag: '--publish-interval', type: 'number', default: 1000, help: 'Minimum time between messages per device or zone (ms)' },
+    { key: 'PUBLISH_RETAIN', file: 'publish.retain', env: 'PUBLISH_RETAIN', flag: '--publish-retain', type: 'boolean', default: true, help: 'Retain occupancy messages' }
+];
+
+const CONFIG_FILE_ENV = 'PROXY_CONFIG';
+const CONFIG_FILE_FLAG = '--config';
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(errors.join('\n'));
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Read a nested value ("mqtt.port") from a parsed config file
+ */
+function getPath(obj, dotted) {
+    return dotted.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), obj);
+}
+
+/**
+ * Convert and check a raw value
+ * @param {object} option - Option definition
+ * @param {*} raw - Value from file (typed) or env/CLI (string)
+ * @returns {object} { value } or { error }
+ */
+function convert(option, raw) {
+    if (raw === null && option.default === null) {
+        return { value: null };
+    }
+
+    switch (option.type) {
+        case 'string':
+            return { value: String(raw) };
+
+        case 'url': {
+            const value = String(raw);
+            if (!/^(mqtts?|tcp|ssl|wss?):\/\/[^\s/]+/.test(value)) {
+                return { error: `${option.key}: "${value}" is not a valid broker URL (expected mqtt://host)` };
+            }
+            return { value };
+        }
+
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const text = String(raw).toLowerCase();
+            if (['1', 'true', 'yes', 'on'].includes(text)) return { value: true };
+            if (['0', 'false', 'no', 'off', ''].includes(text)) return { value: false };
+            return { error: `${option.key}: "${raw}" is not a boolean` };
+        }
+
+        case 'number':
+        case 'integer':
+        case 'port': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (String(raw).trim() === '' || !isFinite(value) || value <= 0) {
+                return { error: `${option.key}: "${raw}" must be a positive number` };
+            }
+            if (option.type !== 'number' && !Number.isInteger(value)) {
+                return { error: `${option.key}: "${raw}" must be an integer` };
+            }
+            if (option.type === 'port' && value > 65535) {
+                return { error: `${option.key}: ${value} is not a valid port` };
+            }
+            return { value };
+        }
+
+        default:
+            return { error: `${option.key}: unknown option type ${option.type}` };
+    }
+}
+
+/**
+ * Load a JSON or YAML config file
+ * @param {string} file - Path
+ * @returns {object} Parsed config
+ */
+function loadConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new ConfigError([`Cannot read config file ${file}: ${err.message}`]);
+    }
+
+    const ext = path.extname(file).toLowerCase();
+    try {
+        const parsed = ext === '.yaml' || ext === '.yml'
+            ? require('js-yaml').load(text)
+            : JSON.parse(text);
+        return parsed || {};
+    } catch (err) {
+        throw new ConfigError([`Invalid config file ${file}: ${err.message}`]);
+    }
+}
+
+/**
+ * Split command line arguments into flag values
+ * Supports "--flag value", "--flag=value" and boolean flags without a value.
+ * @param {array} args - process.argv.slice(2)
+ * @returns {object} { values: flag -> raw value, configFile, help, errors }
+ */
+function parseArgs(args) {
+    const values = {};
+    const errors = [];
+    let configFile = null;
+    let help = false;
+
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inline] = args[i].split(/=(.*)/s);
+
+        if (flag === '--help' || flag === '-h') {
+            help = true;
+            continue;
+        }
+
+        const option = OPTIONS.find(o => o.flag === flag);
+        if (!option && flag !== CONFIG_FILE_FLAG) {
+            errors.push(`Unknown argument: ${args[i]}`);
+            continue;
+        }
+
+        let value = inline;
+        if (value === undefined) {
+            if (option && option.type === 'boolean') {
+                value = 'true';
+            } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+                value = args[++i];
+            } else {
+                errors.push(`${flag} needs a value`);
+                continue;
+            }
+        }
+
+        if (flag === CONFIG_FILE_FLAG) {
+            configFile = value;
+        } else {
+            values[option.key] = value;
+        }
+    }
+
+    return { values, configFile, help, errors };
+}
+
+/**
+ * Build the configuration
+ * @param {array} args - Command line arguments
+ * @param {object} env - Environment (process.env)
+ * @returns {object} CONFIG with one entry per option key
+ * @throws {ConfigError} With all problems found
+ */
+function loadConfig(args = process.argv.slice(2), env = process.env) {
+    const cli = parseArgs(args);
+    if (cli.errors.length > 0) {
+        throw new ConfigError(cli.errors);
+    }
+
+    const configFile = cli.configFile || env[CONFIG_FILE_ENV];
+    const fileConfig = configFile ? loadConfigFile(configFile) : {};
+
+    const config = { HELP: cli.help };
+    const errors = [];
+
+    OPTIONS.forEach(option => {
+        let raw = option.default;
+        let source = 'default';
+
+        const fromFile = getPath(fileConfig, option.file);
+        if (fromFile !== undefined) {
+            raw = fromFile;
+            source = configFile;
+        }
+        if (env[option.env] !== undefined && env[option.env] !== '') {
+            raw = env[option.env];
+            source = option.env;
+        }
+        if (cli.values[option.key] !== undefined) {
+            raw = cli.values[option.key];
+            source = option.flag;
+        }
+
+        const result = convert(option, raw);
+        if (result.error) {
+            errors.push(`${result.error} (from ${source})`);
+        } else {
+            config[option.key] = result.value;
+        }
+    });
+
+    if (errors.length === 0) {
+        if (config.MQTT_USERNAME && !config.MQTT_PASSWORD) {
+            errors.push('MQTT_USERNAME is set but MQTT_PASSWORD is missing');
+        }
+        if (config.REPLAY_SOURCE && !fs.existsSync(config.REPLAY_SOURCE)) {
+            errors.push(`REPLAY_SOURCE: ${config.REPLAY_SOURCE} does not exist`);
+        } else if (config.REPLAY_SOURCE && resolveFiles(config.REPLAY_SOURCE).length === 0) {
+            errors.push(`REPLAY_SOURCE: no recordings (mqtt-*.ndjson) in ${config.REPLAY_SOURCE}`);
+        }
+        if (config.AUTH_FILE && !fs.existsSync(config.AUTH_FILE)) {
+            errors.push(`AUTH_FILE: ${config.AUTH_FILE} does not exist`);
+        }
+        if (config.SENSORS_FILE && !fs.existsSync(config.SENSORS_FILE)) {
+            errors.push(`SENSORS_FILE: ${config.SENSORS_FILE} does not exist`);
+        }
+        if (config.ZONES_FILE && !fs.existsSync(config.ZONES_FILE)) {
+            errors.push(`ZONES_FILE: ${config.ZONES_FILE} does not exist`);
+        }
+        ['PUBLISH_POSITIONS', 'PUBLISH_OCCUPANCY'].forEach(key => {
+            if (config[key] && /[+#]/.test(config[key])) {
+                errors.push(`${key}: "${config[key]}" must not contain wildcards`);
+            } else if (config[key] && topicMatches(config.DEFAULT_TOPIC, config[key].replace(/\{\w+\}/g, 'x'))) {
+                // The proxy would read its own messages as sensor data
+                errors.push(`${key}: "${config[key]}" lies within DEFAULT_TOPIC ${config.DEFAULT_TOPIC}`);
+            }
+        });
+        if (config.PUBLISH_POSITIONS || config.PUBLISH_OCCUPANCY) {
+            if (!config.SENSORS_FILE) {
+                errors.push('Publishing needs server-side lateration (SENSORS_FILE)');
+            }
+            if (config.REPLAY_SOURCE) {
+                errors.push('Publishing needs a broker connection, not available with REPLAY_SOURCE');
+            }
+        }
+        if (config.PUBLISH_OCCUPANCY && !config.ZONES_FILE) {
+            errors.push('PUBLISH_OCCUPANCY needs ZONES_FILE');
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return config;
+}
+
+/**
+ * Usage text for --help
+ * @returns {string}
+ */
+function usage() {
+    const lines = [
+        'Usage: node server.js [options]',
+        '',
+        `  ${CONFIG_FILE_FLAG.padEnd(20)} JSON or YAML config file (env: ${CONFIG_FILE_ENV})`
+    ];
+    OPTIONS.forEach(o => {
+        const def = o.default === null || o.default === '' ? '' : ` [${o.default}]`;
+        lines.push(`  ${o.flag.padEnd(20)} ${o.help}${def} (env: ${o.env})`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Config for logging: secrets masked
+ * @param {object} config
+ * @returns {object}
+ */
+function describe(config) {
+    const described = {};
+    OPTIONS.forEach(o => {
+        described[o.key] = o.secret && config[o.key] ? '********' : config[o.key];
+    });
+    return described;
+}
+
+module.exports = {
+    loadConfig,
+    loadConfigFile,
+    usage,
+    describe,
+    ConfigError
+};
@@ -0,0 +1,222 @@
+/**
+ * ============================================================
+ * Server-side Lateration Service
+ * ============================================================
+ * Runs the browser's positioning code in Node, so every client sees the
+ * same positions and filter state. js/pathLoss.js, js/dataHandler.js,
+ * js/lateration.js and js/mqttHandler.js are loaded unchanged into one
+ * sandbox: like <script> tags they share their globals (Lateration uses
+ * DataHandler, MqttHandler uses PathLoss).
+ *
+ * Forwarded broker messages go through the same pipeline as in the
+ * browser's live mode: MqttHandler parses them, DataHandler indexes
+ * them, and each timestamp is computed once its sync window is complete.
+ *
+ * Sensor file (JSON or YAML, --sensors):
+ *   sensors:
+ *     - id: pi-01
+ *       lat: 50.9386
+ *       lng: 6.9591
+ *       height: 2.5        # mount height in meters (optional)
+ *       txPower: -59       # path-loss parameters for RSSI-only readings (optional)
+ *       exponent: 2.2
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadConfigFile, ConfigError } = require('./config');
+
+// Browser modules in index.html order
+const BROWSER_DIR = path.join(__dirname, '..', 'js');
+const BROWSER_MODULES = ['pathLoss.js', 'dataHandler.js', 'lateration.js', 'mqttHandler.js'];
+
+// Wait for more readings before computing positions (ms), as in the browser
+const DEBOUNCE_MS = 500;
+
+/**
+ * Load the browser modules into a sandbox
+ * The modules log every reading; only warnings and errors are kept.
+ * localStorage is kept in memory (path-loss parameters from the sensor file).
+ * @returns {object} { PathLoss, DataHandler, Lateration, MqttHandler }
+ */
+function loadBrowserModules() {
+    const storage = new Map();
+    const sandbox = vm.createContext({
+        console: {
+            log: () => {},
+            info: () => {},
+            warn: console.warn,
+            error: console.error
+        },
+        localStorage: {
+            getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: (key) => storage.delete(key)
+        }
+    });
+
+    BROWSER_MODULES.forEach(file => {
+        const fullPath = path.join(BROWSER_DIR, file);
+        vm.runInContext(fs.readFileSync(fullPath, 'utf8'), sandbox, { filename: fullPath });
+    });
+
+    return vm.runInContext('({ PathLoss, DataHandler, Lateration, MqttHandler })', sandbox);
+}
+
+/**
+ * Load and check the sensor file
+ * @param {string} file - Path to JSON/YAML file
+ * @returns {array} Sensors { id, lat, lng, height?, txPower?, exponent? }
+ * @throws {ConfigError}
+ */
+function loadSensors(file) {
+    const parsed = loadConfigFile(file);
+    const errors = [];
+
+    if (!Array.isArray(parsed.sensors) || parsed.sensors.length === 0) {
+        throw new ConfigError([`${file}: "sensors" must be a non-empty list`]);
+    }
+
+    const ids = new Set();
+    const sensors = parsed.sensors.map((sensor, i) => {
+        const label = `${file}: sensors[${i}]`;
+        if (!sensor || (typeof sensor.id !== 'string' && typeof sensor.id !== 'number') || sensor.id === '') {
+            errors.push(`${label}: id is required`);
+            return null;
+        }
+        const id = String(sensor.id);
+        if (ids.has(id)) {
+            errors.push(`${label}: duplicate id "${id}"`);
+        }
+        ids.add(id);
+
+        if (typeof sensor.lat !== 'number' || Math.abs(sensor.lat) > 90 ||
+            typeof sensor.lng !== 'number' || Math.abs(sensor.lng) > 180) {
+            errors.push(`${label} (${id}): lat/lng must be valid coordinates`);
+        }
+        ['height', 'txPower', 'exponent'].forEach(key => {
+            if (sensor[key] !== undefined && (typeof sensor[key] !== 'number' || !isFinite(sensor[key]))) {
+                errors.push(`${label} (${id}): ${key} must be a number`);
+            }
+        });
+        if ((sensor.txPower === undefined) !== (sensor.exponent === undefined)) {
+            errors.push(`${label} (${id}): txPower and exponent must be set together`);
+        }
+
+        return { ...sensor, id };
+    });
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return sensors;
+}
+
+/**
+ * Create the lateration service
+ * @param {object} options - { sensorsFile }
+ * @param {function} onPositions - Called with { timestamp, devices } per computed timestamp
+ * @returns {object} { handleMessage(forwarded), getSensors(), sampleRing(), flush(), stop() }
+ * @throws {ConfigError} For an invalid sensor file
+ */
+function createPositioningService({ sensorsFile }, onPositions) {
+    const sensors = loadSensors(sensorsFile);
+    const { PathLoss, DataHandler, Lateration, MqttHandler } = loadBrowserModules();
+
+    sensors.forEach(sensor => {
+        MqttHandler.assignSensorGps(sensor.id, sensor.lat, sensor.lng, sensor.height);
+        if (sensor.txPower !== undefined) {
+            PathLoss.setParams(sensor.id, { txPower: sensor.txPower, exponent: sensor.exponent });
+        }
+    });
+
+    // Timestamps waiting for their window to complete (sorted)
+    let pending = [];
+    // Last computed timestamp
+    let lastTimestamp = null;
+    let timer = null;
+
+    MqttHandler.onSensorDiscovered((sensorId) => {
+        console.warn(`📍 Sensor ${sensorId} is not in ${sensorsFile}, its readings are ignored`);
+    });
+
+    MqttHandler.onMessage((entry) => {
+        const appended = DataHandler.appendEntries([entry]);
+
+        // Late entries for already computed times only feed later windows
+        const lastTime = lastTimestamp ? new Date(lastTimestamp).getTime() : -Infinity;
+        appended.timestamps.forEach(ts => {
+            if (new Date(ts).getTime() > lastTime && !pending.includes(ts)) {
+                pending.push(ts);
+            }
+        });
+        pending.sort();
+
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(() => compute(false), DEBOUNCE_MS);
+    });
+
+    /**
+     * Compute all pending timestamps whose window is complete
+     * @param {boolean} all - Also compute incomplete windows (e.g. on shutdown)
+     */
+    function compute(all) {
+        timer = null;
+        const timestamps = DataHandler.getTimestamps();
+        if (timestamps.length === 0) return;
+
+        const newestTime = new Date(timestamps[timestamps.length - 1]).getTime();
+        const lookahead = DataHandler.getWindowLookahead();
+        const ready = pending.filter(ts => all || new Date(ts).getTime() + lookahead <= newestTime);
+        if (ready.length === 0) return;
+        pending = pending.filter(ts => !ready.includes(ts));
+
+        ready.forEach(ts => {
+            onPositions({ timestamp: ts, devices: Lateration.computeAllPositions(ts) });
+        });
+        lastTimestamp = ready[ready.length - 1];
+
+        // Only the open windows need the readings, the filters keep their own state
+        const lastTime = new Date(lastTimestamp).getTime();
+        const dropped = DataHandler.dropBefore(lastTime - DataHandler.getTimeWindow());
+        if (dropped.length > 0) {
+            Lateration.dropCachedTimestamps(dropped);
+        }
+        // Devices that left (or rotated their MAC) are not kept forever
+        Lateration.dropStaleDevices(lastTime);
+    }
+
+    /**
+     * Feed a forwarded broker message ({ topic, data })
+     */
+    function handleMessage(message) {
+        MqttHandler.handleProxyMessage(message);
+    }
+
+    /**
+     * Sensor coordinates for the clients
+     * @returns {array} [{ id, lat, lng, height }]
+     */
+    function getSensors() {
+        return sensors.map(({ id, lat, lng, height }) => ({ id, lat, lng, height }));
+    }
+
+    function stop() {
+        if (timer) clearTimeout(timer);
+        timer = null;
+    }
+
+    return {
+        handleMessage,
+        getSensors,
+        sampleRing: Lateration.sampleRing,
+        flush: () => compute(true),
+        stop
+    };
+}
+
+module.exports = {
+    createPositioningService,
+    loadSensors
+};
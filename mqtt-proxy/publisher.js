@@ -0,0 +1,166 @@
+/**
+ * ============================================================
+ * Position & Occupancy Publisher
+ * ============================================================
+ * Publishes the positions of the server-side lateration and the zone
+ * occupancy back to the MQTT broker, for dashboards and counters.
+ *
+ * Messages are throttled: at most one per device and zone per interval,
+ * always with the newest values. Occupancy is only published when a
+ * count changed and can be retained, so new subscribers get the current
+ * count at once. Positions are never retained (a stale position would
+ * look like a present device).
+ *
+ * Position topic (--publish-positions, {device} = hashed MAC), JSON:
+ *   {
+ *     "device": "a1b2c3...",               hashed MAC
+ *     "timestamp": "2026-01-01T10:00:00Z", data time of the fix
+ *     "lat": 50.9386012, "lng": 6.9594031,
+ *     "type": "position" | "range",        range: one sensor, device somewhere on "ring"
+ *     "ring": { "lat", "lng", "radius" },  range only (center = sensor, radius in m), else null
+ *     "accuracy": 1.84,                    m, √(σx² + σy²) of the estimate
+ *     "quality": "high" | "medium" | "low",
+ *     "confidence": 0.92,                  0..1
+ *     "sensors": 3,                        sensors used
+ *     "filter": "kalman" | "particle" | "rts" | "none",
+ *     "ambiguous": false,                  two-sensor fix without a chosen candidate
+ *     "zones": ["Lobby"]                   zones containing the position
+ *   }
+ *
+ * Occupancy topic (--publish-occupancy, {zone} = zone name), JSON:
+ *   {
+ *     "zone": "Lobby",
+ *     "count": 3.4,                        expected devices, range-only devices count fractionally
+ *     "timestamp": "2026-01-01T10:00:00Z"  data time of the count
+ *   }
+ */
+
+const { zoneContains, countDevices } = require('./zones');
+
+/**
+ * Turn a name into one topic level (no separators or wildcards)
+ * @param {string} name
+ * @returns {string}
+ */
+function topicLevel(name) {
+    return String(name).replace(/[/+#\s]+/g, '_');
+}
+
+/**
+ * Round to a number of decimals (null stays null)
+ */
+function round(value, decimals) {
+    if (typeof value !== 'number' || !isFinite(value)) return null;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Build the position message of a device
+ * @param {object} device - Device result as from Lateration.computeAllPositions
+ * @param {string} timestamp - Data time
+ * @param {array} zones - Zones for the "zones" field
+ * @returns {object}
+ */
+function toPositionMessage(device, timestamp, zones) {
+    const covariance = device.covariance;
+    const accuracy = covariance ? Math.sqrt(covariance[0][0] + covariance[1][1]) : null;
+
+    return {
+        device: device.macHashed,
+        timestamp: timestamp,
+        lat: round(device.lat, 7),
+        lng: round(device.lng, 7),
+        type: device.resultType,
+        ring: device.resultType === 'range' && device.ring ? {
+            lat: round(device.ring.lat, 7),
+            lng: round(device.ring.lng, 7),
+            radius: round(device.ring.radius, 2)
+        } : null,
+        accuracy: round(accuracy, 2),
+        quality: device.qualityLevel,
+        confidence: round(device.confidence, 2),
+        sensors: device.sensorCount,
+        filter: device.filterMode,
+        ambiguous: !!device.ambiguous,
+        zones: device.resultType === 'position'
+            ? zones.filter(zone => zoneContains(zone, device.lat, device.lng)).map(zone => zone.name)
+            : []
+    };
+}
+
+/**
+ * Create the publisher
+ * @param {object} options - { getClient, positionTopic, occupancyTopic, zones, intervalMs, retain, sampleRing }
+ *   getClient: () => current MQTT client (replaced on reconnect)
+ *   positionTopic / occupancyTopic: topic templates, null = off
+ *   sampleRing: Lateration.sampleRing for range-only devices
+ * @returns {object} { handlePositions({ timestamp, devices }), stop() }
+ *   stop() publishes what is still pending (final counts on shutdown)
+ */
+function createPublisher({ getClient, positionTopic, occupancyTopic, zones = [], intervalMs = 1000, retain = true, sampleRing }) {
+    // Newest unpublished position per device
+    const pendingPositions = new Map();
+    // Newest computed timestamp and its devices (for the counts)
+    let latest = null;
+    let latestCounted = null;
+    // Last published count per zone
+    const publishedCounts = new Map();
+
+    function handlePositions({ timestamp, devices }) {
+        if (positionTopic) {
+            devices.forEach(device => {
+                pendingPositions.set(device.macHashed, toPositionMessage(device, timestamp, zones));
+            });
+        }
+        latest = { timestamp, devices };
+    }
+
+    function publish(topic, message, publishRetain) {
+        getClient().publish(topic, JSON.stringify(message), { qos: 0, retain: publishRetain }, (err) => {
+            if (err) {
+                console.error(`❌ Publish error on ${topic}:`, err.message);
+            }
+        });
+    }
+
+    function flush() {
+        const client = getClient();
+        if (!client || !client.connected) return;
+
+        pendingPositions.forEach((message, device) => {
+            publish(positionTopic.replace('{device}', topicLevel(device)), message, false);
+        });
+        pendingPositions.clear();
+
+        if (occupancyTopic && latest && latest !== latestCounted) {
+            latestCounted = latest;
+            countDevices(zones, latest.devices, sampleRing).forEach((count, name) => {
+                const rounded = round(count, 1);
+                if (publishedCounts.get(name) === rounded) return;
+                publishedCounts.set(name, rounded);
+                publish(occupancyTopic.replace('{zone}', topicLevel(name)), {
+                    zone: name,
+                    count: rounded,
+                    timestamp: latest.timestamp
+                }, retain);
+            });
+        }
+    }
+
+    const timer = setInterval(flush, intervalMs);
+
+    function stop() {
+        clearInterval(timer);
+        flush();
+    }
+
+    return {
+        handlePositions,
+        stop
+    };
+}
+
+module.exports = {
+    createPublisher
+};
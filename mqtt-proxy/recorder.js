@@ -0,0 +1,112 @@
+/**
+ * ============================================================
+ * Message Recorder
+ * ============================================================
+ * Writes every message the proxy forwards to a rotating NDJSON log
+ * (one JSON object per line, exactly as sent to the WebSocket clients).
+ *
+ * Files are named by their start time (mqtt-YYYYMMDD-HHMMSS.ndjson),
+ * so sorting by name gives the recording order. A new file is started
+ * when the current one exceeds maxBytes; only the newest maxFiles are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PREFIX = 'mqtt-';
+const FILE_EXTENSION = '.ndjson';
+
+/**
+ * Build a log file name from a date
+ * @param {Date} date
+ * @returns {string} e.g. mqtt-20240115-143000.ndjson
+ */
+function fileNameFor(date) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+    return `${FILE_PREFIX}${stamp}${FILE_EXTENSION}`;
+}
+
+/**
+ * List the log files of a directory in recording order
+ * @param {string} dir - Log directory
+ * @returns {array} Absolute file paths
+ */
+function listLogFiles(dir) {
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith(FILE_PREFIX) && name.endsWith(FILE_EXTENSION))
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+/**
+ * Create a rotating recorder
+ * @param {object} options - { dir, maxBytes, maxFiles }
+ * @returns {object} { write(message), close(), getCurrentFile() }
+ */
+function createRecorder({ dir, maxBytes = 50 * 1024 * 1024, maxFiles = 10 }) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    let stream = null;
+    let currentFile = null;
+    let bytesWritten = 0;
+
+    function openFile() {
+        let file = path.join(dir, fileNameFor(new Date()));
+        // Two rotations within one second: keep the names unique and sortable
+        for (let i = 1; fs.existsSync(file); i++) {
+            file = path.join(dir, fileNameFor(new Date()).replace(FILE_EXTENSION, `_${i}${FILE_EXTENSION}`));
+        }
+
+        // Created synchronously, so the name check above sees it on the next rotation
+        stream = fs.createWriteStream(null, { fd: fs.openSync(file, 'a') });
+        stream.on('error', (err) => {
+            console.error('❌ Recorder write error:', err.message);
+        });
+        currentFile = file;
+        bytesWritten = 0;
+        console.log(`💾 Recording to: ${file}`);
+
+        removeOldFiles();
+    }
+
+    function removeOldFiles() {
+        const files = listLogFiles(dir);
+        files.slice(0, Math.max(0, files.length - maxFiles)).forEach(file => {
+            try {
+                fs.unlinkSync(file);
+                console.log(`🗑️  Removed old recording: ${file}`);
+            } catch (err) {
+                console.error('❌ Could not remove old recording:', err.message);
+            }
+        });
+    }
+
+    function write(message) {
+        if (!stream || bytesWritten >= maxBytes) {
+            if (stream) stream.end();
+            openFile();
+        }
+
+        const line = JSON.stringify(message) + '\n';
+        stream.write(line);
+        bytesWritten += Buffer.byteLength(line);
+    }
+
+    function close() {
+        if (stream) {
+            stream.end();
+            stream = null;
+        }
+    }
+
+    return {
+        write,
+        close,
+        getCurrentFile: () => currentFile
+    };
+}
+
+module.exports = {
+    createRecorder,
+    listLogFiles
+};
@@ -0,0 +1,166 @@
+/**
+ * ============================================================
+ * Message Replay
+ * ============================================================
+ * Reads NDJSON recordings (see recorder.js) and emits the messages
+ * with their original timing, scaled by a speed factor. Timing comes
+ * from the `timestamp` field the proxy adds to every forwarded message.
+ *
+ * A directory replays all its log files in recording order.
+ *
+ * Loop mode shifts every pass forward in time by the recording span
+ * (first to last message) plus LOOP_GAP_MS: the message `timestamp` and
+ * the payload's `timestamp`/`time` fields. Clients drop data times at or
+ * before the last computed one, unshifted passes would look frozen.
+ * Times inside raw payload strings (Raspberry Pi) are not changed, the
+ * proxy's `data.timestamp` takes precedence over them.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { listLogFiles } = require('./recorder');
+
+/**
+ * Resolve a replay source to the list of files to read
+ * @param {string} source - NDJSON file or recording directory
+ * @returns {array} File paths
+ */
+function resolveFiles(source) {
+    if (fs.statSync(source).isDirectory()) {
+        return listLogFiles(source);
+    }
+    return [source];
+}
+
+// Pause in data time between the end of one loop pass and the next
+const LOOP_GAP_MS = 1000;
+
+/**
+ * Shift an ISO timestamp or Unix time (seconds) by an offset
+ * @param {string|number} value - Time value from a message
+ * @param {number} offsetMs - Offset in milliseconds
+ * @returns {string|number} Shifted value (unchanged if not a time)
+ */
+function shiftTime(value, offsetMs) {
+    if (typeof value === 'number') {
+        return value + offsetMs / 1000;
+    }
+    const time = Date.parse(value);
+    return isNaN(time) ? value : new Date(time + offsetMs).toISOString();
+}
+
+/**
+ * Copy of a recorded message moved forward in time (loop passes)
+ * @param {object} message - Recorded message { topic, data, timestamp }
+ * @param {number} offsetMs - Offset in milliseconds
+ * @returns {object}
+ */
+function shiftMessage(message, offsetMs) {
+    if (offsetMs === 0) return message;
+
+    const shifted = { ...message, timestamp: shiftTime(message.timestamp, offsetMs) };
+    if (message.data && typeof message.data === 'object') {
+        shifted.data = { ...message.data };
+        ['timestamp', 'time'].forEach(key => {
+            if (message.data[key] !== undefined) {
+                shifted.data[key] = shiftTime(message.data[key], offsetMs);
+            }
+        });
+    }
+    return shifted;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Replay recorded messages
+ * @param {string} source - NDJSON file or recording directory
+ * @param {object} options - { speed, loop }
+ * @param {function} onMessage - Called with each recorded message
+ * @returns {object} { stop() }
+ */
+function startReplay(source, { speed = 1, loop = false }, onMessage) {
+    const files = resolveFiles(source);
+    if (files.length === 0) {
+        throw new Error(`No recordings found in ${source}`);
+    }
+
+    let stopped = false;
+
+    /**
+     * Play all files once
+     * @param {number} offsetMs - Data time shift of this pass
+     * @returns {object} { count, span } span = recorded time from first to last message
+     */
+    async function playOnce(offsetMs) {
+        // Wall clock time at which the first message is sent
+        const startedAt = Date.now();
+        let firstTime = null;
+        let lastTime = null;
+        let count = 0;
+        const result = () => ({ count, span: firstTime === null ? 0 : lastTime - firstTime });
+
+        for (const file of files) {
+            console.log(`▶️  Replaying: ${file}`);
+            const lines = readline.createInterface({
+                input: fs.createReadStream(file),
+                crlfDelay: Infinity
+            });
+
+            for await (const line of lines) {
+                if (stopped) {
+                    lines.close();
+                    return result();
+                }
+                if (!line.trim()) continue;
+
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch {
+                    console.warn('⚠️  Skipping invalid line in', file);
+                    continue;
+                }
+
+                const time = Date.parse(message.timestamp);
+                if (!isNaN(time)) {
+                    if (firstTime === null) firstTime = time;
+                    lastTime = time;
+                    const wait = startedAt + (time - firstTime) / speed - Date.now();
+                    if (wait > 0) await delay(wait);
+                }
+
+                if (stopped) {
+                    lines.close();
+                    return result();
+                }
+                onMessage(shiftMessage(message, offsetMs));
+                count++;
+            }
+        }
+        return result();
+    }
+
+    (async () => {
+        let offsetMs = 0;
+        do {
+            const { count, span } = await playOnce(offsetMs);
+            console.log(`⏹️  Replay finished (${count} messages)`);
+            if (count === 0) break;
+            offsetMs += span + LOOP_GAP_MS;
+        } while (loop && !stopped);
+    })().catch(err => {
+        console.error('❌ Replay error:', err.message);
+    });
+
+    return {
+        stop: () => { stopped = true; }
+    };
+}
+
+module.exports = {
+    startReplay,
+    resolveFiles
+};
@@ -6,6 +6,37 @@
  * 
  * Usage: npm start
  * The server runs on http://localhost:3001
+ *
+ * Configuration (broker, credentials, ports, topic) comes from a config
+ * file, environment variables or flags, see config.js:
+ *   MQTT_BROKER=mqtt://localhost MQTT_USERNAME=user MQTT_PASSWORD=secret npm start
+ *   node server.js --config config.yaml --broker mqtt://localhost --port 1883
+ *
+ * Client commands (JSON over WebSocket):
+ *   { command: 'subscribe', topic | topics }    Add topic filters for this client
+ *                                               (the first one replaces the default topic)
+ *   { command: 'unsubscribe', topic | topics }  Remove topic filters
+ *   { command: 'feed', feed }                   'raw' (default) or 'positions'
+ *   { command: 'reconnect' }                    Reconnect to the broker
+ * Each client only receives messages matching its own filters.
+ *
+ * Server-side lateration (--sensors sensors.yaml, see positioning.js):
+ * the proxy positions the devices seen on the default topic with the
+ * browser's Lateration code. Clients on the 'positions' feed get
+ *   { type: 'sensors', sensors: [{ id, lat, lng, height }] }   once
+ *   { type: 'positions', timestamp, devices: [...] }          per timestamp
+ * instead of raw messages, so all of them share one filter state.
+ * The feed is chosen on connect (ws://host:3001/?feed=positions, never
+ * subscribed to the default topic) or later with the 'feed' command.
+ * With --publish-positions / --publish-occupancy (and --zones) the
+ * positions and zone counts are also published to the broker (see publisher.js).
+ * With --auth-file, clients must authenticate and may only use the
+ * topics and commands their access rules allow (see auth.js).
+ *
+ * Recording & replay:
+ *   node server.js --record recordings        Log all forwarded messages (rotating NDJSON)
+ *   node server.js --replay recordings/x.ndjson [--speed 2] [--loop]
+ *                                             Broadcast a recording instead of connecting to MQTT
  */
 
 const mqtt = require('mqtt');
@@ -13,23 +44,48 @@ const WebSocket = require('ws');
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
+const { createRecorder } = require('./recorder');
+const { startReplay } = require('./replay');
+const { loadConfig, usage, describe, ConfigError } = require('./config');
+const { createSubscriptionRegistry, isValidFilter } = require('./subscriptions');
+const { createAuthenticator } = require('./auth');
+const { createPositioningService } = require('./positioning');
+const { createPublisher } = require('./publisher');
+const { loadZones } = require('./zones');
 
 // ============================================================
-// CONFIGURATION - Mosquitto Broker Settings
+// CONFIGURATION - defaults < config file < environment < CLI flags
 // ============================================================
-const CONFIG = {
-    // MQTT Broker (TCP connection)
-    MQTT_BROKER: 'mqtt://139.6.19.20',
-    MQTT_PORT: 1883,
-    MQTT_USERNAME: 'lkleefisch',
-    MQTT_PASSWORD: 'jr9csado9j9uytxhs2l7v4j3fezo1ttl',
+// See config.js for all options and `node server.js --help`.
+function exitWithConfigError(error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error('❌ Invalid configuration:');
+    error.errors.forEach(msg => console.error(`   - ${msg}`));
+    console.error('');
+    console.error(usage());
+    process.exit(1);
+}
 
-    // Default topic to subscribe
-    DEFAULT_TOPIC: 'bt-tracker/#',
+let CONFIG;
+try {
+    CONFIG = loadConfig();
+} catch (error) {
+    exitWithConfigError(error);
+}
 
-    // WebSocket server port for browser clients
-    WS_PORT: 3001
-};
+if (CONFIG.HELP) {
+    console.log(usage());
+    process.exit(0);
+}
+console.log('⚙️  Configuration:', describe(CONFIG));
+
+// WebSocket client authentication and access rules (see auth.js)
+let auth;
+try {
+    auth = createAuthenticator(CONFIG.AUTH_FILE);
+} catch (error) {
+    exitWithConfigError(error);
+}
 
 // ============================================================
 // Express app for health check & CORS
@@ -37,10 +93,21 @@ const CONFIG = {
 const app = express();
 app.use(cors());
 
+// Status shows broker, topics and files: same credentials as the WebSocket
+// (Authorization header or ?token= / ?user=&password=), /health stays open
 app.get('/', (req, res) => {
+    if (!auth.authenticate(req)) {
+        res.status(401).json({ status: 'unauthorized' });
+        return;
+    }
     res.json({
         status: 'running',
+        mode: CONFIG.REPLAY_SOURCE ? 'replay' : 'live',
         mqtt_broker: CONFIG.MQTT_BROKER,
+        recording: recorder ? recorder.getCurrentFile() : null,
+        subscriptions: subscriptions.activeFilters(),
+        lateration: positioning ? CONFIG.SENSORS_FILE : null,
+        publishing: publisher ? [CONFIG.PUBLISH_POSITIONS, CONFIG.PUBLISH_OCCUPANCY].filter(t => t) : [],
         connected_clients: wss ? wss.clients.size : 0,
         mqtt_connected: mqttClient ? mqttClient.connected : false
     });
@@ -54,28 +121,130 @@ app.get('/health', (req, res) => {
 // HTTP & WebSocket Server
 // ============================================================
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ noServer: true });
+
+// Authenticated user of each WebSocket client
+const clientUsers = new WeakMap();
+
+// Close codes for refused clients (browsers cannot read the HTTP status of a failed upgrade)
+const CLOSE_UNAUTHORIZED = 4401;
+
+server.on('upgrade', (req, socket, head) => {
+    const user = auth.authenticate(req);
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+        if (!user) {
+            // Closed before any data or command is exchanged
+            console.warn(`🔒 Rejected WebSocket client from ${req.socket.remoteAddress}: invalid credentials`);
+            ws.close(CLOSE_UNAUTHORIZED, 'Unauthorized');
+            return;
+        }
+        clientUsers.set(ws, user);
+        wss.emit('connection', ws, req);
+    });
+});
 
 // ============================================================
 // MQTT Client
 // ============================================================
 let mqttClient = null;
-let currentTopic = CONFIG.DEFAULT_TOPIC;
 
-function connectMqtt(topic = CONFIG.DEFAULT_TOPIC) {
+// Recording of forwarded messages (only for live MQTT data)
+const recorder = CONFIG.RECORD_DIR && !CONFIG.REPLAY_SOURCE
+    ? createRecorder({
+        dir: CONFIG.RECORD_DIR,
+        maxBytes: CONFIG.RECORD_MAX_MB * 1024 * 1024,
+        maxFiles: CONFIG.RECORD_MAX_FILES
+    })
+    : null;
+let replay = null;
+
+// Server-side lateration (clients on the 'positions' feed)
+const positionClients = new WeakSet();
+let positioning = null;
+if (CONFIG.SENSORS_FILE) {
+    try {
+        positioning = createPositioningService({ sensorsFile: CONFIG.SENSORS_FILE }, handlePositions);
+    } catch (error) {
+        exitWithConfigError(error);
+    }
+}
+
+// Positions and zone counts back to the broker
+let publisher = null;
+if (positioning && (CONFIG.PUBLISH_POSITIONS || CONFIG.PUBLISH_OCCUPANCY)) {
+    try {
+        publisher = createPublisher({
+            getClient: () => mqttClient,
+            positionTopic: CONFIG.PUBLISH_POSITIONS,
+            occupancyTopic: CONFIG.PUBLISH_OCCUPANCY,
+            zones: CONFIG.ZONES_FILE ? loadZones(CONFIG.ZONES_FILE) : [],
+            intervalMs: CONFIG.PUBLISH_INTERVAL_MS,
+            retain: CONFIG.PUBLISH_RETAIN,
+            sampleRing: positioning.sampleRing
+        });
+    } catch (error) {
+        exitWithConfigError(error);
+    }
+}
+
+// ============================================================
+// Subscriptions - topic filters per client, their union on the broker
+// ============================================================
+const subscriptions = createSubscriptionRegistry({
+    onSubscribe: (filter) => {
+        if (mqttClient && mqttClient.connected) {
+            subscribeBroker(filter);
+        }
+    },
+    onUnsubscribe: (filter) => {
+        if (mqttClient && mqttClient.connected) {
+            mqttClient.unsubscribe(filter);
+            console.log(`📴 Unsubscribed from: ${filter}`);
+        }
+    }
+});
+
+// Clients still on the default topic; their first subscribe replaces it
+const onDefaultTopic = new WeakSet();
+
+// The recorder holds the default topic, so recording does not depend on connected clients
+if (recorder) {
+    subscriptions.add(recorder, CONFIG.DEFAULT_TOPIC);
+}
+// Same for the lateration service
+if (positioning) {
+    subscriptions.add(positioning, CONFIG.DEFAULT_TOPIC);
+}
+
+function subscribeBroker(filter) {
+    mqttClient.subscribe(filter, (err, granted) => {
+        // QoS 128 = subscription refused by the broker (e.g. ACL)
+        if (err || (granted && granted.some(g => g.qos === 128))) {
+            console.error(`❌ Subscribe error for ${filter}:`, err ? err.message : 'refused by broker');
+            wss.clients.forEach((client) => {
+                if (subscriptions.filtersOf(client).includes(filter)) {
+                    sendToClient(client, { type: 'error', error: `Subscription to ${filter} failed` });
+                }
+            });
+        } else {
+            console.log(`📡 Subscribed to: ${filter}`);
+        }
+    });
+}
+
+function connectMqtt() {
     if (mqttClient) {
         mqttClient.end();
     }
 
-    currentTopic = topic;
-
     console.log(`🔌 Connecting to MQTT broker: ${CONFIG.MQTT_BROKER}`);
-    console.log(`📡 Topic: ${topic}`);
 
     mqttClient = mqtt.connect(CONFIG.MQTT_BROKER, {
         port: CONFIG.MQTT_PORT,
-        username: CONFIG.MQTT_USERNAME,
-        password: CONFIG.MQTT_PASSWORD,
+        // Empty username = anonymous (e.g. local Mosquitto in the test lab)
+        username: CONFIG.MQTT_USERNAME || undefined,
+        password: CONFIG.MQTT_PASSWORD || undefined,
         clientId: 'smo_proxy_' + Math.random().toString(16).substr(2, 8),
         reconnectPeriod: 5000,
         connectTimeout: 10000
@@ -84,18 +253,9 @@ function connectMqtt(topic = CONFIG.DEFAULT_TOPIC) {
     mqttClient.on('connect', () => {
         console.log('✅ Connected to MQTT broker');
 
-        mqttClient.subscribe(topic, (err) => {
-            if (err) {
-                console.error('❌ Subscribe error:', err);
-            } else {
-                console.log(`📡 Subscribed to: ${topic}`);
-                broadcastToClients({
-                    type: 'status',
-                    status: 'connected',
-                    topic: topic
-                });
-            }
-        });
+        // (Re)subscribe the union of all client filters
+        subscriptions.brokerFilters().forEach(subscribeBroker);
+        wss.clients.forEach(client => sendStatus(client, 'connected'));
     });
 
     mqttClient.on('message', (topic, message) => {
@@ -103,7 +263,7 @@ function connectMqtt(topic = CONFIG.DEFAULT_TOPIC) {
             const payload = message.toString();
             console.log(`📨 Message on ${topic}`);
 
-            // Parse and forward to all WebSocket clients
+            // Parse and forward to the subscribed WebSocket clients
             let data;
             try {
                 data = JSON.parse(payload);
@@ -124,12 +284,20 @@ function connectMqtt(topic = CONFIG.DEFAULT_TOPIC) {
                 };
             }
 
-            broadcastToClients({
+            const forwarded = {
                 type: 'message',
                 topic: topic,
                 data: data,
                 timestamp: new Date().toISOString()
-            });
+            };
+            routeMessage(forwarded);
+
+            if (recorder) {
+                recorder.write(forwarded);
+            }
+            if (positioning && subscriptions.wants(positioning, topic)) {
+                positioning.handleMessage(forwarded);
+            }
 
         } catch (error) {
             console.error('Error processing message:', error);
@@ -146,10 +314,7 @@ function connectMqtt(topic = CONFIG.DEFAULT_TOPIC) {
 
     mqttClient.on('close', () => {
         console.log('🔌 MQTT connection closed');
-        broadcastToClients({
-            type: 'status',
-            status: 'disconnected'
-        });
+        wss.clients.forEach(client => sendStatus(client, 'disconnected'));
     });
 
     mqttClient.on('reconnect', () => {
@@ -160,6 +325,12 @@ function connectMqtt(topic = CONFIG.DEFAULT_TOPIC) {
 // ============================================================
 // WebSocket Handlers
 // ============================================================
+function sendToClient(client, message) {
+    if (client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify(message));
+    }
+}
+
 function broadcastToClients(message) {
     const payload = JSON.stringify(message);
     wss.clients.forEach((client) => {
@@ -169,17 +340,143 @@ function broadcastToClients(message) {
     });
 }
 
-wss.on('connection', (ws) => {
-    console.log('🌐 New WebSocket client connected');
-    console.log(`   Total clients: ${wss.clients.size}`);
+/**
+ * Send an MQTT message to the clients whose filters match its topic
+ */
+function routeMessage(message) {
+    const payload = JSON.stringify(message);
+    wss.clients.forEach((client) => {
+        if (client.readyState === WebSocket.OPEN && subscriptions.wants(client, message.topic)) {
+            client.send(payload);
+        }
+    });
+}
+
+/**
+ * Handle positions of the lateration service
+ */
+function handlePositions(batch) {
+    broadcastPositions(batch);
+    if (publisher) {
+        publisher.handlePositions(batch);
+    }
+}
+
+/**
+ * Send computed positions to the clients on the 'positions' feed
+ */
+function broadcastPositions({ timestamp, devices }) {
+    const payload = JSON.stringify({ type: 'positions', timestamp: timestamp, devices: devices });
+    wss.clients.forEach((client) => {
+        if (client.readyState === WebSocket.OPEN && positionClients.has(client)) {
+            client.send(payload);
+        }
+    });
+}
 
-    // Send current status
-    ws.send(JSON.stringify({
+/**
+ * Send a client its status, topic filters and feed
+ * `topic` lists the filters for clients that only know a single topic
+ */
+function sendStatus(client, status, extra = {}) {
+    const topics = subscriptions.filtersOf(client);
+    sendToClient(client, {
         type: 'status',
-        status: mqttClient && mqttClient.connected ? 'connected' : 'disconnected',
-        topic: currentTopic,
-        broker: CONFIG.MQTT_BROKER
-    }));
+        status: status,
+        topic: topics.join(', '),
+        topics: topics,
+        feed: positionClients.has(client) ? 'positions' : 'raw',
+        ...extra
+    });
+}
+
+/**
+ * Switch a client between raw messages and server-side positions
+ * @param {WebSocket} ws - Client
+ * @param {object} user - Authenticated user
+ * @param {string} feed - 'raw' or 'positions'
+ * @returns {object|null} Error message for the client ({ error, code? }), null on success
+ */
+function setFeed(ws, user, feed) {
+    if (feed !== 'raw' && feed !== 'positions') {
+        return { error: `Unknown feed: ${feed}` };
+    }
+
+    if (feed === 'positions') {
+        if (!positioning) {
+            return { code: 'unavailable', error: 'Server-side lateration is off (start the proxy with --sensors)' };
+        }
+        // Positions combine all sensors of the default topic
+        if (!auth.canSubscribe(user, CONFIG.DEFAULT_TOPIC)) {
+            console.warn(`🔒 ${user.name} may not receive positions of: ${CONFIG.DEFAULT_TOPIC}`);
+            return { code: 'forbidden', error: `Positions not allowed (topic ${CONFIG.DEFAULT_TOPIC})` };
+        }
+        // Positions instead of raw ranges
+        subscriptions.removeHolder(ws);
+        onDefaultTopic.delete(ws);
+        positionClients.add(ws);
+    } else if (positionClients.delete(ws) && auth.canSubscribe(user, CONFIG.DEFAULT_TOPIC)) {
+        // Back to raw messages on the default topic
+        subscriptions.add(ws, CONFIG.DEFAULT_TOPIC);
+        onDefaultTopic.add(ws);
+    }
+    return null;
+}
+
+function getTopicList(data) {
+    if (Array.isArray(data.topics)) return data.topics;
+    return data.topic ? [data.topic] : [];
+}
+
+wss.on('connection', (ws, req) => {
+    const user = clientUsers.get(ws);
+    console.log(`🌐 New WebSocket client connected (${user.name})`);
+    console.log(`   Total clients: ${wss.clients.size}`);
+
+    // Feed chosen on connect: positions clients never get the default topic
+    const requestedFeed = new URL(req.url, 'http://localhost').searchParams.get('feed');
+    let feedError = null;
+    if (requestedFeed) {
+        feedError = auth.canCommand(user, 'feed')
+            ? setFeed(ws, user, requestedFeed)
+            : { code: 'forbidden', error: 'Command not allowed: feed' };
+    }
+
+    // Users without access to the default topic start without subscriptions
+    if (!positionClients.has(ws) && auth.canSubscribe(user, CONFIG.DEFAULT_TOPIC)) {
+        subscriptions.add(ws, CONFIG.DEFAULT_TOPIC);
+        onDefaultTopic.add(ws);
+    }
+
+    if (CONFIG.REPLAY_SOURCE) {
+        sendStatus(ws, 'replaying', { source: CONFIG.REPLAY_SOURCE });
+
+        // The replay starts with the first client, so it sees the recording from the beginning
+        if (!replay) {
+            replay = startReplay(CONFIG.REPLAY_SOURCE, {
+                speed: CONFIG.REPLAY_SPEED,
+                loop: CONFIG.REPLAY_LOOP
+            }, (message) => {
+                routeMessage(message);
+                if (positioning && subscriptions.wants(positioning, message.topic)) {
+                    positioning.handleMessage(message);
+                }
+            });
+        }
+    } else {
+        // Send current status
+        sendStatus(ws, mqttClient && mqttClient.connected ? 'connected' : 'disconnected', {
+            broker: CONFIG.MQTT_BROKER
+        });
+    }
+
+    // After the status, which accepts the client
+    if (positionClients.has(ws)) {
+        sendToClient(ws, { type: 'sensors', sensors: positioning.getSensors() });
+    }
+    if (feedError) {
+        sendToClient(ws, { type: 'error', ...feedError });
+    }
 
     // Handle messages from browser
     ws.on('message', (message) => {
@@ -187,27 +484,59 @@ wss.on('connection', (ws) => {
             const data = JSON.parse(message.toString());
             console.log('📥 Command from client:', data);
 
-            if (data.command === 'subscribe') {
-                // Change topic subscription
-                const newTopic = data.topic || CONFIG.DEFAULT_TOPIC;
-                console.log(`🔄 Changing topic to: ${newTopic}`);
-
-                if (mqttClient && mqttClient.connected) {
-                    mqttClient.unsubscribe(currentTopic);
-                    currentTopic = newTopic;
-                    mqttClient.subscribe(newTopic, (err) => {
-                        if (!err) {
-                            console.log(`✅ Now subscribed to: ${newTopic}`);
-                            broadcastToClients({
-                                type: 'status',
-                                status: 'subscribed',
-                                topic: newTopic
-                            });
-                        }
-                    });
+            if (typeof data.command === 'string' && !auth.canCommand(user, data.command)) {
+                console.warn(`🔒 ${user.name} may not use command: ${data.command}`);
+                sendToClient(ws, { type: 'error', code: 'forbidden', error: `Command not allowed: ${data.command}` });
+                return;
+            }
+
+            if (data.command === 'subscribe' || data.command === 'unsubscribe') {
+                // Topic filters of this client only: { topic } or { topics: [...] }
+                const topics = getTopicList(data);
+                const invalid = topics.filter(topic => !isValidFilter(topic));
+                if (topics.length === 0 || invalid.length > 0) {
+                    sendToClient(ws, { type: 'error', error: `Invalid topic filter: ${invalid.join(', ') || '(none)'}` });
+                    return;
+                }
+
+                const denied = data.command === 'subscribe' ? topics.filter(topic => !auth.canSubscribe(user, topic)) : [];
+                if (denied.length > 0) {
+                    console.warn(`🔒 ${user.name} may not subscribe to: ${denied.join(', ')}`);
+                    sendToClient(ws, { type: 'error', code: 'forbidden', error: `Topic not allowed: ${denied.join(', ')}` });
+                    return;
+                }
+
+                if (data.command === 'subscribe') {
+                    if (onDefaultTopic.has(ws) && !topics.includes(CONFIG.DEFAULT_TOPIC)) {
+                        subscriptions.remove(ws, CONFIG.DEFAULT_TOPIC);
+                    }
+                    topics.forEach(topic => subscriptions.add(ws, topic));
+                } else {
+                    topics.forEach(topic => subscriptions.remove(ws, topic));
                 }
+                onDefaultTopic.delete(ws);
+
+                console.log(`🔄 Client topics: ${subscriptions.filtersOf(ws).join(', ') || '(none)'}`);
+                sendStatus(ws, data.command === 'subscribe' ? 'subscribed' : 'unsubscribed');
+            } else if (data.command === 'feed') {
+                const error = setFeed(ws, user, data.feed);
+                if (error) {
+                    sendToClient(ws, { type: 'error', ...error });
+                    return;
+                }
+                if (data.feed === 'positions') {
+                    sendToClient(ws, { type: 'sensors', sensors: positioning.getSensors() });
+                }
+
+                console.log(`🔄 Client feed: ${data.feed}`);
+                sendStatus(ws, 'feed');
             } else if (data.command === 'reconnect') {
-                connectMqtt(data.topic || currentTopic);
+                if (CONFIG.REPLAY_SOURCE) {
+                    // No broker in replay mode
+                    console.log('⏭️  Ignoring reconnect in replay mode');
+                } else {
+                    connectMqtt();
+                }
             }
 
         } catch (error) {
@@ -216,6 +545,7 @@ wss.on('connection', (ws) => {
     });
 
     ws.on('close', () => {
+        subscriptions.removeHolder(ws);
         console.log('🌐 WebSocket client disconnected');
         console.log(`   Remaining clients: ${wss.clients.size}`);
     });
@@ -235,20 +565,57 @@ server.listen(CONFIG.WS_PORT, () => {
     console.log('═══════════════════════════════════════════════');
     console.log(`   WebSocket URL: ws://localhost:${CONFIG.WS_PORT}`);
     console.log(`   Health Check:  http://localhost:${CONFIG.WS_PORT}/health`);
-    console.log(`   MQTT Broker:   ${CONFIG.MQTT_BROKER}`);
-    console.log(`   Default Topic: ${CONFIG.DEFAULT_TOPIC}`);
+    if (CONFIG.REPLAY_SOURCE) {
+        console.log(`   Replay:        ${CONFIG.REPLAY_SOURCE} (${CONFIG.REPLAY_SPEED}x${CONFIG.REPLAY_LOOP ? ', loop' : ''})`);
+    } else {
+        console.log(`   MQTT Broker:   ${CONFIG.MQTT_BROKER}:${CONFIG.MQTT_PORT} (${CONFIG.MQTT_USERNAME || 'anonymous'})`);
+        console.log(`   Default Topic: ${CONFIG.DEFAULT_TOPIC}`);
+    }
+    if (recorder) {
+        console.log(`   Recording to:  ${CONFIG.RECORD_DIR}`);
+    }
+    if (positioning) {
+        console.log(`   Lateration:    ${positioning.getSensors().length} sensors (${CONFIG.SENSORS_FILE})`);
+    }
+    if (publisher) {
+        console.log(`   Publishing:    ${[CONFIG.PUBLISH_POSITIONS, CONFIG.PUBLISH_OCCUPANCY].filter(t => t).join(', ')}`);
+    }
+    if (auth.enabled) {
+        console.log(`   Auth:          ${auth.userCount} users (${CONFIG.AUTH_FILE})`);
+    } else {
+        console.log('   Auth:          ⚠️  off - every client can read all data (set --auth-file)');
+    }
     console.log('═══════════════════════════════════════════════');
     console.log('');
 
-    // Connect to MQTT broker
-    connectMqtt();
+    if (CONFIG.REPLAY_SOURCE) {
+        console.log('▶️  Replay starts when the first client connects');
+    } else {
+        // Connect to MQTT broker
+        connectMqtt();
+    }
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down...');
-    if (mqttClient) mqttClient.end();
+    if (recorder) recorder.close();
+    if (replay) replay.stop();
+    if (positioning) {
+        // Pending windows still go to the clients and the publisher
+        positioning.flush();
+        positioning.stop();
+    }
+    // Publishes the final positions and occupancy
+    if (publisher) publisher.stop();
     wss.close();
     server.close();
-    process.exit(0);
+
+    if (mqttClient) {
+        // end() sends queued publishes before closing, an unreachable broker must not block the exit
+        setTimeout(() => process.exit(0), 2000).unref();
+        mqttClient.end(false, {}, () => process.exit(0));
+    } else {
+        process.exit(0);
+    }
 });
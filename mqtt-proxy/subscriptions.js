@@ -0,0 +1,253 @@
+/**
+ * ============================================================
+ * Subscription Registry
+ * ============================================================
+ * Every WebSocket client keeps its own set of MQTT topic filters.
+ * The broker subscription is the union of all filters: a filter is
+ * active while at least one holder has it (reference counting).
+ * Only active filters that no other active filter covers are subscribed
+ * on the broker: a broker may deliver one copy per matching subscription
+ * (MQTT 3.1.1, section 3.3.5), so "bt-tracker/#" next to
+ * "bt-tracker/building-a/#" would route, record and position those
+ * messages twice. When the covering filter goes away, the filters it
+ * covered are subscribed again.
+ *
+ * Messages are routed to the holders whose filters match the topic,
+ * using MQTT wildcard semantics (+ = one level, # = rest of the topic).
+ */
+
+/**
+ * Check a topic filter for MQTT syntax
+ * @param {string} filter - e.g. "bt-tracker/+/scan" or "bt-tracker/#"
+ * @returns {boolean}
+ */
+function isValidFilter(filter) {
+    if (typeof filter !== 'string' || filter.length === 0 || filter.includes('\u0000')) {
+        return false;
+    }
+
+    const levels = filter.split('/');
+    return levels.every((level, i) => {
+        if (level.includes('#')) {
+            // Multi-level wildcard: whole level, and the last one
+            return level === '#' && i === levels.length - 1;
+        }
+        if (level.includes('+')) {
+            return level === '+';
+        }
+        return true;
+    });
+}
+
+/**
+ * Match a topic against a filter (MQTT 3.1.1, section 4.7)
+ * "a/#" also matches "a"; wildcards at the first level do not match "$SYS" topics.
+ * @param {string} filter - Topic filter
+ * @param {string} topic - Topic name
+ * @returns {boolean}
+ */
+function topicMatches(filter, topic) {
+    const filterLevels = filter.split('/');
+    const topicLevels = topic.split('/');
+
+    if (topic.startsWith('$') && (filterLevels[0] === '#' || filterLevels[0] === '+')) {
+        return false;
+    }
+
+    for (let i = 0; i < filterLevels.length; i++) {
+        const level = filterLevels[i];
+        if (level === '#') {
+            return true;
+        }
+        if (i >= topicLevels.length) {
+            return false;
+        }
+        if (level !== '+' && level !== topicLevels[i]) {
+            return false;
+        }
+    }
+
+    return filterLevels.length === topicLevels.length;
+}
+
+/**
+ * Check if an allowed filter covers every topic a requested filter can match
+ * e.g. "a/#" covers "a/+/c", "a/+" covers "a/b" but not "a/#".
+ * @param {string} allowed - Filter from the access rules
+ * @param {string} requested - Filter the client asks for
+ * @returns {boolean}
+ */
+function filterCovers(allowed, requested) {
+    const allowedLevels = allowed.split('/');
+    const requestedLevels = requested.split('/');
+
+    for (let i = 0; i < allowedLevels.length; i++) {
+        const level = allowedLevels[i];
+        if (level === '#') {
+            return true;
+        }
+        if (i >= requestedLevels.length) {
+            return false;
+        }
+        const req = requestedLevels[i];
+        if (req === '#') {
+            return false;
+        }
+        if (level !== '+' && level !== req) {
+            return false;
+        }
+    }
+
+    return allowedLevels.length === requestedLevels.length;
+}
+
+/**
+ * Check if one subscription already delivers every message of another
+ * Like filterCovers, but wildcards at the first level do not match "$" topics.
+ * @param {string} covering - Active filter
+ * @param {string} filter - Other active filter
+ * @returns {boolean}
+ */
+function subscriptionCovers(covering, filter) {
+    if (filter.startsWith('$') && (covering.startsWith('#') || covering.startsWith('+'))) {
+        return false;
+    }
+    return filterCovers(covering, filter);
+}
+
+/**
+ * Create a registry
+ * @param {object} handlers - { onSubscribe(filter), onUnsubscribe(filter) } for broker changes
+ * @returns {object} Registry API
+ */
+function createSubscriptionRegistry({ onSubscribe, onUnsubscribe }) {
+    const holderFilters = new Map(); // holder -> Set(filter)
+    const refCounts = new Map();     // filter -> number of holders
+    const subscribed = new Set();    // filters subscribed on the broker
+
+    /**
+     * Bring the broker subscription in line with the active filters
+     * New filters are subscribed before covered ones are dropped, so no message is lost.
+     */
+    function syncBroker() {
+        const active = Array.from(refCounts.keys());
+        const wanted = active.filter(filter =>
+            !active.some(other => other !== filter && subscriptionCovers(other, filter))
+        );
+
+        wanted.forEach(filter => {
+            if (!subscribed.has(filter)) {
+                subscribed.add(filter);
+                onSubscribe(filter);
+            }
+        });
+        Array.from(subscribed).forEach(filter => {
+            if (!wanted.includes(filter)) {
+                subscribed.delete(filter);
+                onUnsubscribe(filter);
+            }
+        });
+    }
+
+    /**
+     * Add a filter for a holder
+     * @returns {boolean} true if the holder did not have it yet
+     */
+    function add(holder, filter) {
+        if (!holderFilters.has(holder)) {
+            holderFilters.set(holder, new Set());
+        }
+        const filters = holderFilters.get(holder);
+        if (filters.has(filter)) return false;
+
+        filters.add(filter);
+        const count = (refCounts.get(filter) || 0) + 1;
+        refCounts.set(filter, count);
+        if (count === 1) {
+            syncBroker();
+        }
+        return true;
+    }
+
+    /**
+     * Remove a filter from a holder
+     * @returns {boolean} true if the holder had it
+     */
+    function remove(holder, filter) {
+        const filters = holderFilters.get(holder);
+        if (!filters || !filters.delete(filter)) return false;
+
+        const count = refCounts.get(filter) - 1;
+        if (count === 0) {
+            refCounts.delete(filter);
+            syncBroker();
+        } else {
+            refCounts.set(filter, count);
+        }
+        return true;
+    }
+
+    /**
+     * Remove all filters of a holder (e.g. client disconnected)
+     */
+    function removeHolder(holder) {
+        const filters = holderFilters.get(holder);
+        if (!filters) return;
+        Array.from(filters).forEach(filter => remove(holder, filter));
+        holderFilters.delete(holder);
+    }
+
+    /**
+     * Filters of a holder
+     * @returns {array}
+     */
+    function filtersOf(holder) {
+        return Array.from(holderFilters.get(holder) || []);
+    }
+
+    /**
+     * All filters with at least one holder
+     * @returns {array}
+     */
+    function activeFilters() {
+        return Array.from(refCounts.keys());
+    }
+
+    /**
+     * Filters subscribed on the broker (active filters not covered by another)
+     * @returns {array}
+     */
+    function brokerFilters() {
+        return Array.from(subscribed);
+    }
+
+    /**
+     * Check if any filter of a holder matches a topic
+     * @returns {boolean}
+     */
+    function wants(holder, topic) {
+        const filters = holderFilters.get(holder);
+        if (!filters) return false;
+        for (const filter of filters) {
+            if (topicMatches(filter, topic)) return true;
+        }
+        return false;
+    }
+
+    return {
+        add,
+        remove,
+        removeHolder,
+        filtersOf,
+        activeFilters,
+        brokerFilters,
+        wants
+    };
+}
+
+module.exports = {
+    isValidFilter,
+    topicMatches,
+    filterCovers,
+    createSubscriptionRegistry
+};
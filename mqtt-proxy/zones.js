@@ -0,0 +1,129 @@
+/**
+ * ============================================================
+ * Zones
+ * ============================================================
+ * Zones for the proxy come from the web app's zone export
+ * (zones.geojson: FeatureCollection of Polygon/MultiPolygon features
+ * with properties.name). Devices are counted like in ZoneManager:
+ * range-only devices count with the fraction of their ring inside
+ * the zone, so counts can be fractional.
+ */
+
+const { loadConfigFile, ConfigError } = require('./config');
+
+// Ring sampling as in ZoneManager (MapLayers.RING_CONFIG.sigmas)
+const RING_SAMPLES = { sigmas: 2, angular: 72, radial: 3 };
+
+/**
+ * Load and check a zone file
+ * Only the outer ring of each polygon is used, as in the web app.
+ * @param {string} file - Path to GeoJSON file
+ * @returns {array} Zones { name, polygons: [[[lng, lat], ...]] }
+ * @throws {ConfigError}
+ */
+function loadZones(file) {
+    const parsed = loadConfigFile(file);
+
+    if (parsed.type !== 'FeatureCollection' || !Array.isArray(parsed.features)) {
+        throw new ConfigError([`${file}: not a GeoJSON FeatureCollection`]);
+    }
+
+    const errors = [];
+    const names = new Set();
+    const zones = [];
+
+    parsed.features.forEach((feature, i) => {
+        const geometry = feature && feature.geometry;
+        if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+            return;
+        }
+
+        const name = (feature.properties && feature.properties.name) || `Zone ${i + 1}`;
+        if (names.has(name)) {
+            errors.push(`${file}: features[${i}]: duplicate zone name "${name}"`);
+        }
+        names.add(name);
+
+        const polygons = geometry.type === 'Polygon'
+            ? [geometry.coordinates[0]]
+            : geometry.coordinates.map(polygon => polygon[0]);
+        if (polygons.some(ring => !Array.isArray(ring) || ring.length < 3)) {
+            errors.push(`${file}: features[${i}] (${name}): polygon needs at least 3 points`);
+        }
+
+        zones.push({ name, polygons });
+    });
+
+    if (zones.length === 0) {
+        errors.push(`${file}: no Polygon or MultiPolygon zones`);
+    }
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return zones;
+}
+
+/**
+ * Ray casting point in polygon test
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {array} ring - GeoJSON ring [[lng, lat], ...]
+ * @returns {boolean}
+ */
+function isPointInRing(lat, lng, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (((yi > lat) !== (yj > lat)) && (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check if a position lies inside a zone
+ * @returns {boolean}
+ */
+function zoneContains(zone, lat, lng) {
+    return zone.polygons.some(ring => isPointInRing(lat, lng, ring));
+}
+
+/**
+ * Count devices per zone
+ * @param {array} zones - From loadZones
+ * @param {array} devices - Device results as from Lateration.computeAllPositions
+ * @param {function} sampleRing - Lateration.sampleRing
+ * @returns {Map} Zone name -> expected device count
+ */
+function countDevices(zones, devices, sampleRing) {
+    // Ring samples are shared by all zones
+    const ringSamples = new Map();
+    devices.forEach(device => {
+        if (device.resultType === 'range' && device.ring) {
+            ringSamples.set(device, sampleRing(device.ring, RING_SAMPLES.sigmas, RING_SAMPLES.angular, RING_SAMPLES.radial));
+        }
+    });
+
+    const counts = new Map();
+    zones.forEach(zone => {
+        let count = 0;
+        devices.forEach(device => {
+            const samples = ringSamples.get(device);
+            if (samples) {
+                count += samples.filter(p => zoneContains(zone, p.lat, p.lng)).length / samples.length;
+            } else if (zoneContains(zone, device.lat, device.lng)) {
+                count++;
+            }
+        });
+        counts.set(zone.name, count);
+    });
+    return counts;
+}
+
+module.exports = {
+    loadZones,
+    zoneContains,
+    countDevices
+};